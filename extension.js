@@ -1,5 +1,7 @@
 const vscode = require('vscode');
-const { exec } = require('child_process');
+const { execFile } = require('child_process');
+const crypto = require('crypto');
+const fs = require('fs');
 const path = require('path');
 
 // ============================================================================
@@ -9,7 +11,7 @@ const path = require('path');
 const CONFIG = {
     NAMESPACE: 'tagfs',
     SETTING_PATH: 'path',
-    DEFAULT_FALLBACK_DIR: '/linuxdev/github/HTFS/',
+    DEFAULT_EXECUTABLE: 'tagfs',
     STATUS_BAR_POSITION: vscode.StatusBarAlignment.Left,
     STATUS_BAR_PRIORITY: 100,
 };
@@ -21,31 +23,69 @@ const STATUS_MESSAGES = {
     LOADING: 'HTFS: Loading...',
 };
 
+// Defaults for the marker, completion trigger and file tags icon settings
 const TAG_MARKER = '#'
 const COMPLETION_TRIGGER = '##';
 const TAG_DECORATION_EMOJI = '🏷';
+const HTFS_SCHEME = 'htfs';
+const SAVED_QUERIES_KEY = 'tagfs.savedQueries';
+const DELETE_RESTORE_WINDOW_MS = 5 * 60 * 1000;
+const MARKER_TAGS_KEY = 'tagfs.markerTags';
+const AUTO_TAGS_KEY = 'tagfs.autoTags';
+const MARKER_SCAN_MAX_FILES = 10000;
+const TEXT_FILE_MAX_BYTES = 1024 * 1024;
+const HOVER_MAX_FILES = 5;
+const HOVER_COMMANDS = ['tagfs.searchbytag', 'tagfs.untagFile', 'tagfs.renametag', 'tagfs.revealTag'];
+const SYMBOL_MAX_RESULTS = 500;
+const TAG_EXPORT_VERSION = 1;
+const TAG_EXPORT_CSV_HEADER = ['kind', 'subject', 'value'];
+const COVERAGE_FOLDER_DEPTH = 2;
+const COVERAGE_TOP_TAGS = 10;
+const TAG_JOURNAL_KEY = 'tagfs.journal';
+const TAG_JOURNAL_LIMIT = 100;
+const TAG_DATABASE_WATCH_PATTERN = '{.tagfs,.tagfs/**}';
+const TAG_DATABASE_WATCH_DEBOUNCE_MS = 500;
+const TAGFS_OWN_WRITE_GRACE_MS = 1000;
+const TAG_COMMAND_VERBS = ['addtags', 'rmtags', 'renametag', 'linktags', 'unlinktags', 'addresource', 'tagresource', 'untagresource', 'mvresource', 'rmresource'];
 
 // ============================================================================
 // GLOBAL STATE
 // ============================================================================
 
 let tagfsExecutable = null;
+let extensionContext = null;
 let extensionInitialized = false;
 let statusBarItem = null;
+let searchResultsProvider = null;
+let tagGraphPanel = null;
+let tagCoveragePanel = null;
 let cachedTags = null;
 let execQueue = Promise.resolve();
+let tagfsWritesRunning = 0;
+let lastTagfsWriteTime = 0;
+let tagDatabaseReloadsRunning = 0;
 let cachedFileTags = new Map();
+let cachedTagResources = new Map();
+let cachedTagParents = null;
+let cachedTagAncestors = new Map();
+let tagIndexPromise = null;
+let tagBackend = null;
+let journaledTagBackend = null;
+const deletedTagsBuffer = new Map();
+const tagDataChangedEmitter = new vscode.EventEmitter();
+const tagJournalChangedEmitter = new vscode.EventEmitter();
 
 // ============================================================================
 // UTILITY HELPERS
 // ============================================================================
 
 /**
- * Get the first workspace folder's path
+ * Get the first on-disk workspace folder's path (skips virtual htfs: folders)
  */
 function getWorkspaceFolder() {
     const folders = vscode.workspace.workspaceFolders;
-    return folders && folders.length ? folders[0].uri.fsPath : null;
+    const folder = folders && folders.find(f => f.uri.scheme === 'file');
+    return folder ? folder.uri.fsPath : null;
 }
 
 /**
@@ -57,6 +97,20 @@ function getRelativeFilePath(filePath, workspaceFolder) {
     return `.${relativeFilePath}`;
 }
 
+/**
+ * Resolve a resource path printed by tagfs to an absolute file path
+ */
+function resolveResourcePath(workspaceFolder, resource) {
+    return path.resolve(workspaceFolder, resource);
+}
+
+/**
+ * Normalize a resource path printed by tagfs to the `./`-relative form used as index key
+ */
+function toResourceKey(workspaceFolder, resource) {
+    return getRelativeFilePath(resolveResourcePath(workspaceFolder, resource), workspaceFolder);
+}
+
 /**
  * Parse multiline CLI output into array of trimmed non-empty strings
  */
@@ -92,6 +146,25 @@ async function getWorkspaceOrShowError() {
     return workspaceFolder;
 }
 
+/**
+ * Escape text for interpolation into HTML
+ */
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * Random nonce for webview Content-Security-Policy script tags
+ */
+function getNonce() {
+    return crypto.randomBytes(16).toString('base64');
+}
+
 /**
  * Get active editor or show error and return null
  */
@@ -106,36 +179,40 @@ async function getActiveEditorOrShowError() {
 // ============================================================================
 
 /**
- * Execute shell command with proper environment and platform configuration
+ * Resolve the tagfs executable from the `tagfs.path` setting
  */
-function execPromise(command, options = {}) {
+function getTagfsExecutable() {
+    try {
+        const cfg = vscode.workspace.getConfiguration(CONFIG.NAMESPACE);
+        const configured = cfg.get(CONFIG.SETTING_PATH);
+        if (configured && typeof configured === 'string' && configured.trim() !== '') {
+            tagfsExecutable = configured.trim();
+        }
+    } catch (e) {
+        showError(`Configuration error: ${e.message || e}`);
+    }
+    return tagfsExecutable || CONFIG.DEFAULT_EXECUTABLE;
+}
+
+/**
+ * Run tagfs with an argument array, e.g. execPromise(['tagresource', file, tag]).
+ * The binary is spawned directly without a shell, so arguments containing
+ * spaces, quotes, `$`, `;`, `|` or `&` reach tagfs verbatim.
+ */
+function execPromise(args, options = {}) {
     const result = execQueue.then(() => {
         return new Promise((resolve, reject) => {
-            const execOptions = { ...options };
-
-            // Use login shell on Unix so user PATH is loaded
-            if (process.platform === 'win32') {
-                execOptions.shell = 'cmd.exe';
-            } else {
-                execOptions.shell = '/usr/bin/bash';
-            }
-
-            try {
-                const cfg = vscode.workspace.getConfiguration(CONFIG.NAMESPACE);
-                const configured = cfg.get(CONFIG.SETTING_PATH);
-                if (configured && typeof configured === 'string' && configured.trim() !== '') {
-                    tagfsExecutable = configured.trim();
+            const executable = getTagfsExecutable();
+            // Only mutating commands write the database (see isOwnTagDatabaseWrite);
+            // calls made to reload after an external change count too, so
+            // anything they touch cannot start another reload
+            const writes = TAG_COMMAND_VERBS.includes(args[0]) || tagDatabaseReloadsRunning > 0;
+            if (writes) tagfsWritesRunning++;
+            execFile(executable, args, { ...options, windowsHide: true }, (err, stdout, stderr) => {
+                if (writes) {
+                    tagfsWritesRunning--;
+                    lastTagfsWriteTime = Date.now();
                 }
-            } catch (e) {
-                showError(`Configuration error: ${e.message || e}`);
-            }
-
-            const customDir = tagfsExecutable ? path.dirname(tagfsExecutable) : CONFIG.DEFAULT_FALLBACK_DIR;
-            execOptions.env = { ...process.env, PATH: `${customDir}:${process.env.PATH}` };
-
-            console.log(command);
-
-            exec(command, execOptions, (err, stdout, stderr) => {
                 if (err) reject(stderr || err.message);
                 else resolve(stdout);
             });
@@ -145,682 +222,5020 @@ function execPromise(command, options = {}) {
     return result;
 }
 
+// ============================================================================
+// TAG BACKENDS
+// ============================================================================
+
+/*
+ * A tag backend stores tags, their parent links and tagged resources
+ * (`./`-relative paths). Every method is async and takes the workspace
+ * folder first:
+ *
+ *   init(ws)                          -> message
+ *   listTags(ws)                      -> [tag]
+ *   getTagParents(ws, tag)            -> [parent]
+ *   search(ws, tagExpr)               -> [resource] (as printed by the backend;
+ *                                        a tag also matches its descendants' files)
+ *   getResourceTags(ws, resource)     -> [tag] (direct tags only)
+ *   addTags(ws, tags)                 -> message
+ *   removeTag(ws, tag)
+ *   renameTag(ws, oldTag, newTag)
+ *   linkTags(ws, childTag, parentTag)
+ *   unlinkTags(ws, childTag, parentTag)
+ *   addResource(ws, resource)
+ *   tagResource(ws, resource, tag)
+ *   untagResource(ws, resource, tag)
+ *   moveResource(ws, from, to)
+ *   removeResource(ws, resource)
+ *
+ * Failures reject with the backend's error message.
+ */
+
 /**
- * Fetch all tags from workspace (with caching)
+ * Backend that runs the `tagfs` CLI in the workspace folder
  */
-async function fetchTags(workspaceFolder) {
-    if (cachedTags) return cachedTags;
-    const stdout = await execPromise('tagfs lstags', { cwd: workspaceFolder });
-    cachedTags = parseOutputLines(stdout);
-    return cachedTags;
-}
+class CliTagBackend {
+    async _run(workspaceFolder, args) {
+        return execPromise(args, { cwd: workspaceFolder });
+    }
 
-// ============================================================================
-// UI HELPERS
-// ============================================================================
+    async init(workspaceFolder) {
+        return this._run(workspaceFolder, ['init']);
+    }
+
+    async listTags(workspaceFolder) {
+        return parseOutputLines(await this._run(workspaceFolder, ['lstags']));
+    }
+
+    async getTagParents(workspaceFolder, tag) {
+        return parseOutputLines(await this._run(workspaceFolder, ['gettagparents', tag]));
+    }
+
+    async search(workspaceFolder, tagExpr) {
+        return parseOutputLines(await this._run(workspaceFolder, ['lsresources', tagExpr]));
+    }
+
+    async getResourceTags(workspaceFolder, resource) {
+        return parseOutputLines(await this._run(workspaceFolder, ['getresourcetags', resource]));
+    }
+
+    async addTags(workspaceFolder, tags) {
+        return this._run(workspaceFolder, ['addtags', ...tags]);
+    }
+
+    async removeTag(workspaceFolder, tag) {
+        await this._run(workspaceFolder, ['rmtags', tag]);
+    }
+
+    async renameTag(workspaceFolder, oldTag, newTag) {
+        await this._run(workspaceFolder, ['renametag', oldTag, newTag]);
+    }
+
+    async linkTags(workspaceFolder, childTag, parentTag) {
+        await this._run(workspaceFolder, ['linktags', childTag, parentTag]);
+    }
+
+    async unlinkTags(workspaceFolder, childTag, parentTag) {
+        await this._run(workspaceFolder, ['unlinktags', childTag, parentTag]);
+    }
+
+    async addResource(workspaceFolder, resource) {
+        await this._run(workspaceFolder, ['addresource', resource]);
+    }
+
+    async tagResource(workspaceFolder, resource, tag) {
+        await this._run(workspaceFolder, ['tagresource', resource, tag]);
+    }
+
+    async untagResource(workspaceFolder, resource, tag) {
+        await this._run(workspaceFolder, ['untagresource', resource, tag]);
+    }
+
+    async moveResource(workspaceFolder, from, to) {
+        // 'false': only move the tags, VS Code has already moved the file
+        await this._run(workspaceFolder, ['mvresource', from, to, 'false']);
+    }
+
+    async removeResource(workspaceFolder, resource) {
+        // 'false': only drop the tags, the file itself is left alone
+        await this._run(workspaceFolder, ['rmresource', resource, 'false']);
+    }
+}
 
 /**
- * Show quick pick with existing tags and option to create new tag
+ * Backend that keeps everything in memory and evaluates tag expressions
+ * itself; used by the unit tests and anywhere tagfs is not available.
+ * Like `tagfs lsresources`, a tag also matches the files tagged with any of
+ * its descendant tags.
  */
-async function showQuickPickWithCreate(tags, placeHolder = 'Select or create a tag') {
-    const quickPickItems = [
-        ...tags.map(tag => ({ label: tag })),
-        { label: '$(plus) Create new tag...', alwaysShow: true }
-    ];
-    const selected = await vscode.window.showQuickPick(quickPickItems, { placeHolder });
-    if (!selected) return null;
+class MemoryTagBackend {
+    constructor() {
+        this.initialized = false;
+        this.tagParents = new Map();   // tag -> Set(parent)
+        this.resources = new Map();    // resource -> Set(tag)
+    }
 
-    if (selected.label === '$(plus) Create new tag...') {
-        const newTag = await vscode.window.showInputBox({ prompt: 'Enter new tag name' });
-        if (!newTag) return null;
+    _requireTag(tag) {
+        if (!this.tagParents.has(tag)) throw `Tag '${tag}' does not exist`;
+    }
 
-        // Create tag if it doesn't exist
-        if (!tags.includes(newTag)) {
-            try {
-                await execPromise(`tagfs addtags ${newTag}`, { cwd: getWorkspaceFolder() });
-                showInfo(`Created new tag: ${newTag}`);
-            } catch (error) {
-                showError(error);
-            }
+    _key(workspaceFolder, resource) {
+        return toResourceKey(workspaceFolder, resource);
+    }
+
+    async init() {
+        const message = this.initialized ? 'HTFS already initialized' : 'HTFS initialized';
+        this.initialized = true;
+        return message;
+    }
+
+    async listTags() {
+        return [...this.tagParents.keys()];
+    }
+
+    async getTagParents(workspaceFolder, tag) {
+        this._requireTag(tag);
+        return [...this.tagParents.get(tag)];
+    }
+
+    async search(workspaceFolder, tagExpr) {
+        const { ast, error } = parseTagExpression(tagExpr);
+        if (error) throw `Invalid tag expression: ${error.message}`;
+        const directResources = new Map([...this.tagParents.keys()].map(tag => [tag, new Set()]));
+        for (const [resource, tags] of this.resources) {
+            tags.forEach(tag => directResources.get(tag).add(resource));
         }
-        return newTag;
+        const tagParents = new Map([...this.tagParents].map(([tag, parents]) => [tag, [...parents]]));
+        const tagResources = new Map([...directResources.keys()].map(tag => [
+            tag,
+            new Set([tag, ...getDescendantTags(tagParents, tag)].flatMap(t => [...directResources.get(t)])),
+        ]));
+        return [...evaluateTagExpression(ast, tagResources, new Set(this.resources.keys()))].sort();
     }
 
-    return selected.label;
-}
+    async getResourceTags(workspaceFolder, resource) {
+        return [...(this.resources.get(this._key(workspaceFolder, resource)) || [])];
+    }
 
-// ============================================================================
-// TAG OPERATIONS
-// ============================================================================
+    async addTags(workspaceFolder, tags) {
+        const created = tags.filter(tag => !this.tagParents.has(tag));
+        created.forEach(tag => this.tagParents.set(tag, new Set()));
+        return created.length ? `Added tags: ${created.join(', ')}` : '';
+    }
+
+    async removeTag(workspaceFolder, tag) {
+        this._requireTag(tag);
+        this.tagParents.delete(tag);
+        this.tagParents.forEach(parents => parents.delete(tag));
+        this.resources.forEach(tags => tags.delete(tag));
+    }
+
+    async renameTag(workspaceFolder, oldTag, newTag) {
+        this._requireTag(oldTag);
+        if (this.tagParents.has(newTag)) throw `Tag '${newTag}' already exists`;
+        const rename = tag => (tag === oldTag ? newTag : tag);
+        this.tagParents = new Map([...this.tagParents].map(([tag, parents]) => [rename(tag), new Set([...parents].map(rename))]));
+        this.resources.forEach((tags, resource) => this.resources.set(resource, new Set([...tags].map(rename))));
+    }
+
+    async linkTags(workspaceFolder, childTag, parentTag) {
+        this._requireTag(childTag);
+        this._requireTag(parentTag);
+        if (childTag === parentTag) throw 'A tag cannot be its own parent';
+        this.tagParents.get(childTag).add(parentTag);
+    }
+
+    async unlinkTags(workspaceFolder, childTag, parentTag) {
+        this._requireTag(childTag);
+        this.tagParents.get(childTag).delete(parentTag);
+    }
+
+    async addResource(workspaceFolder, resource) {
+        const key = this._key(workspaceFolder, resource);
+        if (!this.resources.has(key)) this.resources.set(key, new Set());
+    }
+
+    async tagResource(workspaceFolder, resource, tag) {
+        this._requireTag(tag);
+        await this.addResource(workspaceFolder, resource);
+        this.resources.get(this._key(workspaceFolder, resource)).add(tag);
+    }
+
+    async untagResource(workspaceFolder, resource, tag) {
+        const tags = this.resources.get(this._key(workspaceFolder, resource));
+        if (tags) tags.delete(tag);
+    }
+
+    async moveResource(workspaceFolder, from, to) {
+        const fromKey = this._key(workspaceFolder, from);
+        if (!this.resources.has(fromKey)) throw `Resource '${from}' is not tracked`;
+        const tags = this.resources.get(fromKey);
+        this.resources.delete(fromKey);
+        this.resources.set(this._key(workspaceFolder, to), tags);
+    }
+
+    async removeResource(workspaceFolder, resource) {
+        this.resources.delete(this._key(workspaceFolder, resource));
+    }
+}
 
 /**
- * Add a tag to a file resource
+ * Apply a journaled tagfs-style command (e.g. ['tagresource', file, tag]) through a backend
  */
-async function tagFileWithTag(workspaceFolder, relativeFilePath, tagName) {
-    try {
-        await execPromise(`tagfs addresource ${relativeFilePath}`, { cwd: workspaceFolder });
-        await execPromise(`tagfs tagresource ${relativeFilePath} ${tagName}`, { cwd: workspaceFolder });
-        showInfo(`Tagged file: ${relativeFilePath} with tag: ${tagName}`);
-        cachedFileTags.delete(relativeFilePath); // Invalidate cache
-        try { await _refreshAfterTagChange(workspaceFolder, relativeFilePath); } catch (e) {}
-    } catch (error) {
-        showError(error);
+function applyTagCommand(backend, workspaceFolder, args) {
+    const [verb, first, second] = args;
+    switch (verb) {
+        case 'addtags': return backend.addTags(workspaceFolder, args.slice(1));
+        case 'rmtags': return backend.removeTag(workspaceFolder, first);
+        case 'renametag': return backend.renameTag(workspaceFolder, first, second);
+        case 'linktags': return backend.linkTags(workspaceFolder, first, second);
+        case 'unlinktags': return backend.unlinkTags(workspaceFolder, first, second);
+        case 'addresource': return backend.addResource(workspaceFolder, first);
+        case 'tagresource': return backend.tagResource(workspaceFolder, first, second);
+        case 'untagresource': return backend.untagResource(workspaceFolder, first, second);
+        case 'mvresource': return backend.moveResource(workspaceFolder, first, second);
+        case 'rmresource': return backend.removeResource(workspaceFolder, first);
+        default: return Promise.reject(`Unknown tag command '${verb}'`);
     }
 }
 
 /**
- * Simple debounce helper
+ * Wraps a backend and records its successful changes in the undo journal,
+ * as steps of the given group or else as one entry each
  */
-function debounce(fn, ms = 300) {
-    let timer = null;
-    return function (...args) {
-        if (timer) clearTimeout(timer);
-        timer = setTimeout(() => fn.apply(this, args), ms);
-    };
-}
+class JournaledTagBackend {
+    constructor(backend, group = null) {
+        this.backend = backend;
+        this.group = group;
+    }
 
-// Refresh UI after tagging
-async function _refreshAfterTagChange(workspaceFolder, relativeFilePath) {
-    try {
-        await updateTagCount();
-    } catch (e) {
-        // ignore
+    async _record(workspaceFolder, args) {
+        const inverse = getJournalInverse(args);
+        const result = await applyTagCommand(this.backend, workspaceFolder, args);
+        if (inverse) recordJournalStep(args, inverse, this.group);
+        return result;
     }
-    const editor = vscode.window.activeTextEditor;
-    if (editor && getRelativeFilePath(editor.document.fileName, workspaceFolder) === relativeFilePath) {
-        try { await updateTagDecorations(editor); } catch (e) { /* ignore */ }
+
+    init(workspaceFolder) { return this.backend.init(workspaceFolder); }
+    listTags(workspaceFolder) { return this.backend.listTags(workspaceFolder); }
+    getTagParents(workspaceFolder, tag) { return this.backend.getTagParents(workspaceFolder, tag); }
+    search(workspaceFolder, tagExpr) { return this.backend.search(workspaceFolder, tagExpr); }
+    getResourceTags(workspaceFolder, resource) { return this.backend.getResourceTags(workspaceFolder, resource); }
+
+    addTags(workspaceFolder, tags) { return this._record(workspaceFolder, ['addtags', ...tags]); }
+    removeTag(workspaceFolder, tag) { return this._record(workspaceFolder, ['rmtags', tag]); }
+    renameTag(workspaceFolder, oldTag, newTag) { return this._record(workspaceFolder, ['renametag', oldTag, newTag]); }
+    linkTags(workspaceFolder, childTag, parentTag) { return this._record(workspaceFolder, ['linktags', childTag, parentTag]); }
+    unlinkTags(workspaceFolder, childTag, parentTag) { return this._record(workspaceFolder, ['unlinktags', childTag, parentTag]); }
+    addResource(workspaceFolder, resource) { return this._record(workspaceFolder, ['addresource', resource]); }
+    tagResource(workspaceFolder, resource, tag) { return this._record(workspaceFolder, ['tagresource', resource, tag]); }
+    untagResource(workspaceFolder, resource, tag) { return this._record(workspaceFolder, ['untagresource', resource, tag]); }
+    moveResource(workspaceFolder, from, to) { return this._record(workspaceFolder, ['mvresource', from, to]); }
+    removeResource(workspaceFolder, resource) { return this._record(workspaceFolder, ['rmresource', resource]); }
+}
+
+/**
+ * The active backend; changes go through the undo journal unless
+ * `{ journal: false }` is passed (rollbacks and history replays). With
+ * `{ group }` they are recorded in that withJournalGroup group.
+ */
+function getTagBackend({ journal = true, group = null } = {}) {
+    if (!tagBackend) {
+        tagBackend = new CliTagBackend();
+        journaledTagBackend = new JournaledTagBackend(tagBackend);
     }
+    if (!journal) return tagBackend;
+    return group ? new JournaledTagBackend(tagBackend, group) : journaledTagBackend;
 }
 
 /**
- * Remove a tag from a file resource
+ * Switch the backend and drop everything cached from the previous one
  */
-async function untagFileWithTag(workspaceFolder, relativeFilePath, tagName) {
-    try {
-        await execPromise(`tagfs untagresource ${relativeFilePath} ${tagName}`, { cwd: workspaceFolder });
-        showInfo(`Removed tag: ${tagName} from file: ${relativeFilePath}`);
-        cachedFileTags.delete(relativeFilePath); // Invalidate cache
-        try { await _refreshAfterTagChange(workspaceFolder, relativeFilePath); } catch (e) {}
-    } catch (error) {
-        showError(error);
+function setTagBackend(backend) {
+    tagBackend = backend;
+    journaledTagBackend = new JournaledTagBackend(backend);
+    invalidateTagIndex();
+}
+
+// ============================================================================
+// TAG HISTORY (undo/redo journal)
+// ============================================================================
+
+/**
+ * tagfs commands that undo a mutating command, based on the index state
+ * before it runs; null for read-only commands and changes that are no-ops
+ */
+function getJournalInverse(args) {
+    const [verb, ...rest] = args;
+    const indexReady = Boolean(cachedTags);
+    const hasTag = (resource, tag) => (cachedFileTags.get(resource) || []).includes(tag);
+
+    switch (verb) {
+        case 'addtags': {
+            const created = rest.filter(tag => !indexReady || !cachedTags.includes(tag));
+            return created.length ? created.map(tag => ['rmtags', tag]) : null;
+        }
+        case 'tagresource':
+            return indexReady && hasTag(rest[0], rest[1]) ? null : [['untagresource', rest[0], rest[1]]];
+        case 'untagresource':
+            return indexReady && !hasTag(rest[0], rest[1]) ? null : [['tagresource', rest[0], rest[1]]];
+        case 'renametag':
+            return [['renametag', rest[1], rest[0]]];
+        case 'linktags':
+            return cachedTagParents && (cachedTagParents.get(rest[0]) || []).includes(rest[1])
+                ? null
+                : [['unlinktags', rest[0], rest[1]]];
+        case 'unlinktags':
+            return [['linktags', rest[0], rest[1]]];
+        case 'mvresource':
+            return [['mvresource', rest[1], rest[0]]];
+        case 'rmresource': {
+            const tags = cachedFileTags.get(rest[0]) || [];
+            return [['addresource', rest[0]], ...tags.map(tag => ['tagresource', rest[0], tag])];
+        }
+        case 'rmtags': {
+            const tag = rest[0];
+            const parents = cachedTagParents ? cachedTagParents.get(tag) || [] : [];
+            const children = cachedTagParents ? getChildTags(cachedTagParents, tag) : [];
+            const resources = [...(cachedTagResources.get(tag) || [])];
+            return [
+                ['addtags', tag],
+                ...parents.map(parent => ['linktags', tag, parent]),
+                ...children.map(child => ['linktags', child, tag]),
+                ...resources.flatMap(resource => [['addresource', resource], ['tagresource', resource, tag]]),
+            ];
+        }
+        default:
+            return null;
     }
 }
 
 /**
- * Get all tags for a file (with caching)
+ * Human-readable summary of a mutating tagfs command
  */
-async function getFileTags(workspaceFolder, relativeFilePath) {
-    if (cachedFileTags.has(relativeFilePath)) {
-        return cachedFileTags.get(relativeFilePath);
+function describeTagOperation(args) {
+    const [verb, first, second] = args;
+    const marker = getTagMarker();
+    const file = resource => String(resource).replace(/^\.\//, '');
+    switch (verb) {
+        case 'addtags': return `Create tag ${args.slice(1).map(tag => marker + tag).join(', ')}`;
+        case 'tagresource': return `Tag ${file(first)} with ${marker}${second}`;
+        case 'untagresource': return `Untag ${marker}${second} from ${file(first)}`;
+        case 'renametag': return `Rename ${marker}${first} to ${marker}${second}`;
+        case 'linktags': return `Link ${marker}${first} under ${marker}${second}`;
+        case 'unlinktags': return `Unlink ${marker}${first} from ${marker}${second}`;
+        case 'mvresource': return `Move tags of ${file(first)} to ${file(second)}`;
+        case 'rmresource': return `Remove tags of ${file(first)}`;
+        case 'rmtags': return `Delete tag ${marker}${first}`;
+        default: return args.join(' ');
     }
-    const stdout = await execPromise(`tagfs getresourcetags ${relativeFilePath}`, { cwd: workspaceFolder });
-    const tags = parseOutputLines(stdout);
-    cachedFileTags.set(relativeFilePath, tags);
-    return tags;
 }
 
 /**
- * Update status bar with tag count for current file
+ * Undo and redo stacks ({ undo: [entry], redo: [entry] }) from workspaceState.
+ * An entry is { id, time, label, steps: [{ args, inverse: [args] }] }.
  */
-async function updateTagCount() {
-    const workspaceFolder = getWorkspaceFolder();
-    if (!statusBarItem) return;
+function loadTagJournal() {
+    const stored = extensionContext ? extensionContext.workspaceState.get(TAG_JOURNAL_KEY) : null;
+    return {
+        undo: stored && Array.isArray(stored.undo) ? stored.undo : [],
+        redo: stored && Array.isArray(stored.redo) ? stored.redo : [],
+    };
+}
 
-    const cfg = vscode.workspace.getConfiguration(CONFIG.NAMESPACE);
-    const configured = cfg.get(CONFIG.SETTING_PATH);
-    if (!configured || typeof configured !== 'string' || configured.trim() === '') {
-        statusBarItem.text = STATUS_MESSAGES.NOT_CONFIGURED;
-        return;
-    }
+async function saveTagJournal(journal) {
+    journal.undo = journal.undo.slice(-TAG_JOURNAL_LIMIT);
+    journal.redo = journal.redo.slice(-TAG_JOURNAL_LIMIT);
+    if (extensionContext) await extensionContext.workspaceState.update(TAG_JOURNAL_KEY, journal);
+    tagJournalChangedEmitter.fire();
+}
 
-    if (!workspaceFolder) {
-        statusBarItem.text = STATUS_MESSAGES.NOT_INITIALIZED;
-        return;
-    }
+/**
+ * Push a new entry onto the undo stack; a new change clears the redo stack
+ */
+function addJournalEntry(label, steps) {
+    const journal = loadTagJournal();
+    journal.undo.push({ id: `${Date.now()}-${crypto.randomBytes(4).toString('hex')}`, time: Date.now(), label, steps });
+    journal.redo = [];
+    saveTagJournal(journal).catch(e => console.error('[tagfs] Failed to save tag history:', e));
+}
+
+/**
+ * Record one successful command, as a step of the group or as its own entry
+ */
+function recordJournalStep(args, inverse, group = null) {
+    const step = { args: [...args], inverse };
+    if (group) group.steps.push(step);
+    else addJournalEntry(describeTagOperation(args), [step]);
+}
 
+/**
+ * Run a multi-command operation so it is undone as one history entry. fn gets
+ * the group and passes it to getTagBackend({ group }) (or tagFileWithTag and
+ * untagFileWithTag options); other changes made meanwhile stay separate.
+ * Clearing group.steps drops them (after a batch rolled itself back).
+ */
+async function withJournalGroup(label, fn) {
+    const group = { label, steps: [] };
     try {
-        const tags = await fetchTags(workspaceFolder);
-        statusBarItem.text = `HTFS: ${tags.length} tags`;
-    } catch (error) {
-        statusBarItem.text = STATUS_MESSAGES.ERROR;
+        return await fn(group);
+    } finally {
+        if (group.steps.length === 1) addJournalEntry(describeTagOperation(group.steps[0].args), group.steps);
+        else if (group.steps.length > 1) addJournalEntry(label, group.steps);
     }
 }
 
-// ============================================================================
-// WORKSPACE COMMANDS
-// ============================================================================
-
 /**
- * Initialize HTFS in the current workspace
+ * Run journal commands in order, continuing past failures; resolves to the
+ * number that failed. They are recorded only when a group is given.
  */
-async function tagfsInit() {
-    const workspaceFolder = await getWorkspaceOrShowError();
-    if (!workspaceFolder) return;
-    try {
-        const stdout = await execPromise('tagfs init', { cwd: workspaceFolder });
-        showInfo(stdout);
-    } catch (error) {
-        showError(error);
+async function runJournalCommands(workspaceFolder, commands, group = null) {
+    const backend = group ? getTagBackend({ group }) : getTagBackend({ journal: false });
+    let failed = 0;
+    for (const args of commands) {
+        try {
+            await applyTagCommand(backend, workspaceFolder, args);
+        } catch (error) {
+            console.error('[tagfs] History step failed:', args, error);
+            failed++;
+        }
     }
+    return failed;
+}
+
+function getInverseCommands(entry) {
+    return [...entry.steps].reverse().flatMap(step => step.inverse);
 }
 
 /**
- * List all tags in the workspace
+ * Reload the index from tagfs after replaying history and report the outcome
  */
-async function tagfsListTags() {
+async function finishJournalReplay(workspaceFolder, action, entry, failed) {
+    invalidateTagIndex();
+    await _refreshAfterTagChange(workspaceFolder, null);
+    if (failed) showError(`${action} '${entry.label}': ${failed} step(s) failed.`);
+    else showInfo(`${action}: ${entry.label}`);
+}
+
+/**
+ * Move a replayed entry from one stack to the other. The journal is read
+ * again since changes may have been recorded while the entry was replayed.
+ */
+async function moveJournalEntry(entry, from, to) {
+    const journal = loadTagJournal();
+    journal[from] = journal[from].filter(e => e.id !== entry.id);
+    journal[to].push(entry);
+    await saveTagJournal(journal);
+}
+
+/**
+ * Undo the most recent tag change; it stays on the undo stack if a step fails
+ */
+async function tagfsUndoTagChange() {
     const workspaceFolder = await getWorkspaceOrShowError();
     if (!workspaceFolder) return;
-    try {
-        const tags = await fetchTags(workspaceFolder);
-        await vscode.window.showQuickPick(tags, { placeHolder: 'Select a tag' });
-    } catch (error) {
-        showError(error);
+    const entry = loadTagJournal().undo.at(-1);
+    if (!entry) {
+        showInfo('No tag changes to undo.');
+        return;
     }
+    const failed = await runJournalCommands(workspaceFolder, getInverseCommands(entry));
+    if (!failed) await moveJournalEntry(entry, 'undo', 'redo');
+    await finishJournalReplay(workspaceFolder, 'Undid', entry, failed);
 }
 
 /**
- * Create a new tag
+ * Redo the most recently undone tag change; it stays on the redo stack if a step fails
  */
-async function tagfsAddTag() {
+async function tagfsRedoTagChange() {
     const workspaceFolder = await getWorkspaceOrShowError();
     if (!workspaceFolder) return;
-    const tagName = await vscode.window.showInputBox({ prompt: 'Enter tag name' });
-    if (!tagName) return;
-    try {
-        const stdout = await execPromise(`tagfs addtags ${tagName}`, { cwd: workspaceFolder });
-        showInfo(stdout);
-        cachedTags = null; // Invalidate cache
-    } catch (error) {
-        showError(error);
+    const entry = loadTagJournal().redo.at(-1);
+    if (!entry) {
+        showInfo('No tag changes to redo.');
+        return;
     }
+    const failed = await runJournalCommands(workspaceFolder, entry.steps.map(step => step.args));
+    if (!failed) await moveJournalEntry(entry, 'redo', 'undo');
+    await finishJournalReplay(workspaceFolder, 'Redid', entry, failed);
 }
 
 /**
- * Rename an existing tag
+ * Revert one history entry; the revert is recorded as a new entry
  */
-async function tagfsRenameTag() {
+async function tagfsRevertTagChange(item) {
     const workspaceFolder = await getWorkspaceOrShowError();
-    if (!workspaceFolder) return;
+    if (!workspaceFolder || !item || !item.entry) return;
+    const entry = item.entry;
+    const confirm = await vscode.window.showWarningMessage(
+        `Revert '${entry.label}'? Later changes to the same tags or files may conflict.`,
+        { modal: true },
+        'Revert'
+    );
+    if (confirm !== 'Revert') return;
 
-    try {
-        const tags = await fetchTags(workspaceFolder);
-        if (tags.length === 0) {
-            showInfo('No tags available to rename.');
-            return;
-        }
+    const failed = await withJournalGroup(`Revert: ${entry.label}`,
+        group => runJournalCommands(workspaceFolder, getInverseCommands(entry), group));
+    await finishJournalReplay(workspaceFolder, 'Reverted', entry, failed);
+}
 
-        // Select the tag to rename
-        const oldTag = await vscode.window.showQuickPick(
-            tags,
-            { placeHolder: 'Select tag to rename' }
+/**
+ * Forget all recorded tag changes
+ */
+async function tagfsClearTagHistory() {
+    const confirm = await vscode.window.showWarningMessage('Clear the HTFS tag history?', { modal: true }, 'Clear');
+    if (confirm !== 'Clear') return;
+    await saveTagJournal({ undo: [], redo: [] });
+}
+
+/**
+ * Tree data provider for the HTFS History view: undone entries (redo stack)
+ * first, then applied changes, newest first
+ */
+class TagHistoryProvider {
+    constructor() {
+        this._onDidChangeTreeData = new vscode.EventEmitter();
+        this.onDidChangeTreeData = this._onDidChangeTreeData.event;
+    }
+
+    refresh() {
+        this._onDidChangeTreeData.fire();
+    }
+
+    getTreeItem(element) {
+        const { entry, undone } = element;
+        const item = new vscode.TreeItem(entry.label, vscode.TreeItemCollapsibleState.None);
+        item.id = entry.id;
+        item.description = `${new Date(entry.time).toLocaleString()}${undone ? ' · undone' : ''}`;
+        item.iconPath = new vscode.ThemeIcon(undone ? 'circle-slash' : 'history');
+        item.tooltip = entry.steps.map(step => `tagfs ${step.args.join(' ')}`).join('\n');
+        item.contextValue = undone ? 'htfsHistoryUndone' : 'htfsHistoryEntry';
+        return item;
+    }
+
+    getChildren(element) {
+        if (element) return [];
+        const journal = loadTagJournal();
+        return [
+            ...journal.redo.map(entry => ({ entry, undone: true })),
+            ...[...journal.undo].reverse().map(entry => ({ entry, undone: false })),
+        ];
+    }
+}
+
+// ============================================================================
+// TAG INDEX
+// ============================================================================
+
+/**
+ * Load the in-memory index with bulk CLI calls: `lstags`, `lsresources` per
+ * tag to find the tagged files, then `getresourcetags` per file. Afterwards
+ * cachedTags, cachedFileTags (resource -> tags) and cachedTagResources
+ * (tag -> resources) are kept up to date by the index* helpers below instead
+ * of being re-queried.
+ *
+ * The index holds direct tags only: `lsresources` also lists the files of
+ * descendant tags, so it is only used to find the files.
+ */
+async function loadTagIndex(workspaceFolder) {
+    const backend = getTagBackend();
+    const tags = await backend.listTags(workspaceFolder);
+    const resources = new Set();
+    for (const tag of tags) {
+        (await backend.search(workspaceFolder, tag)).forEach(resource => resources.add(toResourceKey(workspaceFolder, resource)));
+    }
+
+    const fileTags = new Map();
+    const tagResources = new Map(tags.map(tag => [tag, new Set()]));
+    for (const resource of [...resources].sort()) {
+        const direct = (await backend.getResourceTags(workspaceFolder, resource)).filter(tag => tagResources.has(tag));
+        if (direct.length === 0) continue;
+        fileTags.set(resource, direct);
+        direct.forEach(tag => tagResources.get(tag).add(resource));
+    }
+    cachedTags = tags;
+    cachedFileTags = fileTags;
+    cachedTagResources = tagResources;
+}
+
+/**
+ * Load the tag index once; concurrent callers share the same load
+ */
+function ensureTagIndex(workspaceFolder) {
+    if (!tagIndexPromise) {
+        tagIndexPromise = loadTagIndex(workspaceFolder).catch(error => {
+            tagIndexPromise = null;
+            throw error;
+        });
+    }
+    return tagIndexPromise;
+}
+
+/**
+ * Drop the index so the next lookup reloads it from tagfs
+ */
+function invalidateTagIndex() {
+    cachedTags = null;
+    cachedFileTags = new Map();
+    cachedTagResources = new Map();
+    invalidateTagParents();
+    tagIndexPromise = null;
+}
+
+/**
+ * Returns false (and schedules a reload) when the index is not loaded yet,
+ * so writes racing an in-flight load are not lost
+ */
+function isTagIndexReady() {
+    if (cachedTags) return true;
+    tagIndexPromise = null;
+    return false;
+}
+
+function indexAddTag(tag) {
+    if (!isTagIndexReady()) return;
+    if (!cachedTags.includes(tag)) cachedTags = [...cachedTags, tag];
+    if (!cachedTagResources.has(tag)) cachedTagResources.set(tag, new Set());
+}
+
+function indexTagResource(relativeFilePath, tag) {
+    if (!isTagIndexReady()) return;
+    indexAddTag(tag);
+    cachedTagResources.get(tag).add(relativeFilePath);
+    const tags = cachedFileTags.get(relativeFilePath) || [];
+    if (!tags.includes(tag)) cachedFileTags.set(relativeFilePath, [...tags, tag]);
+}
+
+function indexUntagResource(relativeFilePath, tag) {
+    if (!isTagIndexReady()) return;
+    if (cachedTagResources.has(tag)) cachedTagResources.get(tag).delete(relativeFilePath);
+    const tags = (cachedFileTags.get(relativeFilePath) || []).filter(t => t !== tag);
+    if (tags.length) cachedFileTags.set(relativeFilePath, tags);
+    else cachedFileTags.delete(relativeFilePath);
+}
+
+function indexRenameTag(oldTag, newTag) {
+    if (!isTagIndexReady()) return;
+    cachedTags = cachedTags.map(tag => (tag === oldTag ? newTag : tag));
+    const resources = cachedTagResources.get(oldTag) || new Set();
+    cachedTagResources.delete(oldTag);
+    cachedTagResources.set(newTag, resources);
+    for (const resource of resources) {
+        cachedFileTags.set(resource, cachedFileTags.get(resource).map(tag => (tag === oldTag ? newTag : tag)));
+    }
+}
+
+function indexRemoveTag(tag) {
+    if (!isTagIndexReady()) return;
+    cachedTags = cachedTags.filter(t => t !== tag);
+    for (const resource of cachedTagResources.get(tag) || []) {
+        const tags = cachedFileTags.get(resource).filter(t => t !== tag);
+        if (tags.length) cachedFileTags.set(resource, tags);
+        else cachedFileTags.delete(resource);
+    }
+    cachedTagResources.delete(tag);
+}
+
+function indexMoveResource(oldRelativePath, newRelativePath) {
+    if (!isTagIndexReady()) return;
+    const tags = cachedFileTags.get(oldRelativePath);
+    if (!tags) return;
+    cachedFileTags.delete(oldRelativePath);
+    cachedFileTags.set(newRelativePath, tags);
+    for (const tag of tags) {
+        const resources = cachedTagResources.get(tag);
+        resources.delete(oldRelativePath);
+        resources.add(newRelativePath);
+    }
+}
+
+function indexRemoveResource(relativeFilePath) {
+    if (!isTagIndexReady()) return;
+    for (const tag of cachedFileTags.get(relativeFilePath) || []) {
+        cachedTagResources.get(tag).delete(relativeFilePath);
+    }
+    cachedFileTags.delete(relativeFilePath);
+}
+
+/**
+ * Fetch all tags from workspace (from the index)
+ */
+async function fetchTags(workspaceFolder) {
+    await ensureTagIndex(workspaceFolder);
+    return cachedTags;
+}
+
+/**
+ * Fetch parent tags of every tag as a Map(tag -> [parents]) (with caching)
+ */
+async function fetchTagParents(workspaceFolder) {
+    if (cachedTagParents) return cachedTagParents;
+    const tags = await fetchTags(workspaceFolder);
+    const parents = new Map();
+    for (const tag of tags) {
+        parents.set(tag, await getTagBackend().getTagParents(workspaceFolder, tag));
+    }
+    cachedTagParents = parents;
+    return cachedTagParents;
+}
+
+/**
+ * Drop the cached tag links and the ancestor lookups derived from them
+ */
+function invalidateTagParents() {
+    cachedTagParents = null;
+    cachedTagAncestors = new Map();
+}
+
+/**
+ * Ancestor tags the given tags inherit through the hierarchy, sorted
+ * (ancestors are cached per tag until the links change)
+ */
+async function fetchInheritedTags(workspaceFolder, tags) {
+    const tagParents = await fetchTagParents(workspaceFolder);
+    const inherited = new Set();
+    for (const tag of tags) {
+        if (!cachedTagAncestors.has(tag)) {
+            cachedTagAncestors.set(tag, getAncestorTags(tagParents, [tag]));
+        }
+        cachedTagAncestors.get(tag).forEach(ancestor => inherited.add(ancestor));
+    }
+    tags.forEach(tag => inherited.delete(tag));
+    return [...inherited].sort();
+}
+
+/**
+ * Fetch all resources matching a tag expression. Plain tags and `a & b`
+ * conjunctions are answered from the index, where a tag also matches the
+ * files of its descendant tags; anything else goes to tagfs.
+ */
+async function fetchResources(workspaceFolder, tagExpr) {
+    const tags = await fetchTags(workspaceFolder);
+    const terms = tagExpr.split('&').map(term => term.trim());
+    if (terms.every(term => tags.includes(term))) {
+        const tagParents = await fetchTagParents(workspaceFolder);
+        const [first, ...rest] = terms.map(term => new Set(
+            [term, ...getDescendantTags(tagParents, term)].flatMap(tag => [...(cachedTagResources.get(tag) || [])])
+        ));
+        return [...first].filter(resource => rest.every(resources => resources.has(resource)));
+    }
+    return getTagBackend().search(workspaceFolder, tagExpr);
+}
+
+/**
+ * Rebuild the tag index from tagfs
+ */
+async function tagfsRebuildIndex() {
+    const workspaceFolder = await getWorkspaceOrShowError();
+    if (!workspaceFolder) return;
+    try {
+        await vscode.window.withProgress(
+            { location: vscode.ProgressLocation.Notification, title: 'HTFS: Rebuilding tag index...' },
+            async () => {
+                invalidateTagIndex();
+                await ensureTagIndex(workspaceFolder);
+            }
+        );
+        showInfo(`HTFS index rebuilt: ${cachedTags.length} tags, ${cachedFileTags.size} tagged files`);
+    } catch (error) {
+        showError(error);
+    }
+    notifyTagDataChanged();
+    try { await updateTagCount(); } catch (e) {}
+    try { await updateTagDecorations(vscode.window.activeTextEditor); } catch (e) {}
+}
+
+// ============================================================================
+// TAG EXPRESSIONS
+// ============================================================================
+
+const TAG_EXPR_OPERATORS = '&|~()';
+
+/**
+ * Split a tag expression into tokens ({ type, value, offset })
+ */
+function tokenizeTagExpression(text) {
+    const tokens = [];
+    let i = 0;
+    while (i < text.length) {
+        const ch = text[i];
+        if (/\s/.test(ch)) {
+            i++;
+        } else if (TAG_EXPR_OPERATORS.includes(ch)) {
+            tokens.push({ type: ch, value: ch, offset: i });
+            i++;
+        } else {
+            const start = i;
+            while (i < text.length && !/\s/.test(text[i]) && !TAG_EXPR_OPERATORS.includes(text[i])) i++;
+            tokens.push({ type: 'tag', value: text.slice(start, i), offset: start });
+        }
+    }
+    return tokens;
+}
+
+/**
+ * Parse a tag expression such as `backend & (api | db) & ~legacy`.
+ *
+ * Grammar (loosest binding first):
+ *   or      := and ('|' and)*
+ *   and     := unary ('&' unary)*
+ *   unary   := '~' unary | primary
+ *   primary := TAG | '(' or ')'
+ *
+ * Returns { ast, tags, error } where error is { message, offset } or null.
+ * AST nodes are { type: 'tag', name } | { type: 'not', operand } |
+ * { type: 'and' | 'or', left, right }.
+ */
+function parseTagExpression(text) {
+    const tokens = tokenizeTagExpression(text || '');
+    const tags = [];
+    let pos = 0;
+
+    const fail = (message, token) => {
+        const error = new Error(message);
+        error.offset = token ? token.offset : (text || '').length;
+        throw error;
+    };
+    const peek = () => tokens[pos];
+
+    const parsePrimary = () => {
+        const token = peek();
+        if (!token) fail('Expected a tag name', null);
+        if (token.type === 'tag') {
+            pos++;
+            tags.push(token.value);
+            return { type: 'tag', name: token.value };
+        }
+        if (token.type === '(') {
+            pos++;
+            const node = parseOr();
+            if (!peek() || peek().type !== ')') fail("Missing closing ')'", peek() || null);
+            pos++;
+            return node;
+        }
+        return fail(`Unexpected '${token.value}'`, token);
+    };
+    const parseUnary = () => {
+        if (peek() && peek().type === '~') {
+            pos++;
+            return { type: 'not', operand: parseUnary() };
+        }
+        return parsePrimary();
+    };
+    const parseAnd = () => {
+        let node = parseUnary();
+        while (peek() && peek().type === '&') {
+            pos++;
+            node = { type: 'and', left: node, right: parseUnary() };
+        }
+        return node;
+    };
+    const parseOr = () => {
+        let node = parseAnd();
+        while (peek() && peek().type === '|') {
+            pos++;
+            node = { type: 'or', left: node, right: parseAnd() };
+        }
+        return node;
+    };
+
+    try {
+        const ast = parseOr();
+        if (peek()) {
+            fail(peek().type === ')' ? "Unbalanced ')'" : `Unexpected '${peek().value}'`, peek());
+        }
+        return { ast, tags, error: null };
+    } catch (e) {
+        return { ast: null, tags, error: { message: e.message, offset: e.offset } };
+    }
+}
+
+/**
+ * Format an AST back into a canonical expression string
+ */
+function formatTagExpression(node, parentType = null) {
+    switch (node.type) {
+        case 'tag':
+            return node.name;
+        case 'not':
+            return `~${formatTagExpression(node.operand, 'not')}`;
+        default: {
+            const op = node.type === 'and' ? '&' : '|';
+            const str = `${formatTagExpression(node.left, node.type)} ${op} ${formatTagExpression(node.right, node.type)}`;
+            // `&` binds tighter than `|`, so only non-matching nesting needs parentheses
+            return parentType && parentType !== node.type ? `(${str})` : str;
+        }
+    }
+}
+
+/**
+ * Evaluate an AST against the tag index, returning the set of matching resources
+ */
+function evaluateTagExpression(node, tagResources, allResources) {
+    switch (node.type) {
+        case 'tag':
+            return new Set(tagResources.get(node.name) || []);
+        case 'not': {
+            const excluded = evaluateTagExpression(node.operand, tagResources, allResources);
+            return new Set([...allResources].filter(resource => !excluded.has(resource)));
+        }
+        case 'and': {
+            const right = evaluateTagExpression(node.right, tagResources, allResources);
+            return new Set([...evaluateTagExpression(node.left, tagResources, allResources)].filter(r => right.has(r)));
+        }
+        default:
+            return new Set([
+                ...evaluateTagExpression(node.left, tagResources, allResources),
+                ...evaluateTagExpression(node.right, tagResources, allResources)
+            ]);
+    }
+}
+
+/**
+ * Build a validated search expression for a single tag, or null if the
+ * tag name cannot be written as an expression
+ */
+function getTagSearchExpression(tag) {
+    const parsed = parseTagExpression(tag);
+    if (parsed.error || parsed.ast.type !== 'tag' || parsed.ast.name !== tag) return null;
+    return formatTagExpression(parsed.ast);
+}
+
+/**
+ * QuickPick for entering a tag expression with live validation, tag-name
+ * completion and a preview of the number of matching files.
+ * Resolves to the expression, or undefined when cancelled.
+ */
+async function promptTagExpression(workspaceFolder) {
+    const tags = await fetchTags(workspaceFolder);
+    const quickPick = vscode.window.createQuickPick();
+    quickPick.title = 'Search for Files with Tags';
+    quickPick.placeholder = 'Enter tag expression (e.g., "tag1 & ~tag2")';
+    quickPick.matchOnDescription = false;
+
+    // The count comes from fetchResources, so it matches what the search returns
+    // (descendant tags included); updates for older input are dropped
+    let previewRun = 0;
+    const previewCount = debounce(async (expression, run) => {
+        let description;
+        try {
+            const count = (await fetchResources(workspaceFolder, expression)).length;
+            description = `${count} matching file${count === 1 ? '' : 's'}`;
+        } catch (e) {
+            description = 'could not count matching files';
+        }
+        if (run !== previewRun) return;
+        quickPick.items = quickPick.items.map(item => (item.expression === expression ? { ...item, description } : item));
+    }, 250);
+
+    const update = () => {
+        previewRun++;
+        const value = quickPick.value;
+        const items = [];
+
+        // Offer completion for the tag name being typed (at the start or after an operator)
+        const partialMatch = /[^\s&|~()]*$/.exec(value);
+        const partial = partialMatch[0];
+        const prefix = value.slice(0, value.length - partial.length);
+        for (const tag of tags.filter(t => t.startsWith(partial) && t !== partial)) {
+            items.push({
+                label: `$(tag) ${tag}`,
+                description: 'complete tag name',
+                alwaysShow: true,
+                completion: `${prefix}${tag} `
+            });
+        }
+
+        if (value.trim() !== '') {
+            const parsed = parseTagExpression(value);
+            const unknown = [...new Set(parsed.tags.filter(tag => !tags.includes(tag)))];
+            if (parsed.error) {
+                items.unshift({
+                    label: `$(error) ${parsed.error.message}`,
+                    description: `at column ${parsed.error.offset + 1}`,
+                    alwaysShow: true
+                });
+            } else if (unknown.length) {
+                items.unshift({
+                    label: `$(warning) Unknown tag${unknown.length > 1 ? 's' : ''}: ${unknown.join(', ')}`,
+                    alwaysShow: true
+                });
+            } else {
+                items.unshift({
+                    label: `$(search) ${formatTagExpression(parsed.ast)}`,
+                    description: 'counting matching files…',
+                    alwaysShow: true,
+                    expression: value.trim()
+                });
+                previewCount(value.trim(), previewRun);
+            }
+        }
+        quickPick.items = items;
+    };
+
+    return new Promise(resolve => {
+        let result;
+        quickPick.onDidChangeValue(update);
+        quickPick.onDidAccept(() => {
+            const item = quickPick.activeItems[0];
+            if (item && item.completion) {
+                quickPick.value = item.completion;
+                update();
+            } else if (item && item.expression) {
+                result = item.expression;
+                quickPick.hide();
+            }
+        });
+        quickPick.onDidHide(() => {
+            quickPick.dispose();
+            resolve(result);
+        });
+        update();
+        quickPick.show();
+    });
+}
+
+// ============================================================================
+// UI HELPERS
+// ============================================================================
+
+/**
+ * Show quick pick with existing tags and option to create new tag
+ */
+async function showQuickPickWithCreate(tags, placeHolder = 'Select or create a tag') {
+    const quickPickItems = [
+        ...tags.map(tag => ({ label: tag })),
+        { label: '$(plus) Create new tag...', alwaysShow: true }
+    ];
+    const selected = await vscode.window.showQuickPick(quickPickItems, { placeHolder });
+    if (!selected) return null;
+
+    if (selected.label === '$(plus) Create new tag...') {
+        const newTag = await vscode.window.showInputBox({ prompt: 'Enter new tag name' });
+        if (!newTag) return null;
+
+        // Create tag if it doesn't exist
+        if (!tags.includes(newTag)) {
+            try {
+                await getTagBackend().addTags(getWorkspaceFolder(), [newTag]);
+                indexAddTag(newTag);
+                showInfo(`Created new tag: ${newTag}`);
+            } catch (error) {
+                showError(error);
+            }
+        }
+        return newTag;
+    }
+
+    return selected.label;
+}
+
+// ============================================================================
+// TAG OPERATIONS
+// ============================================================================
+
+/**
+ * Add a tag to a file resource. With `{ silent: true }` no messages are shown
+ * and the caller refreshes the UI; resolves to whether the change succeeded.
+ */
+async function tagFileWithTag(workspaceFolder, relativeFilePath, tagName, options = {}) {
+    try {
+        const backend = getTagBackend({ group: options.group });
+        await backend.addResource(workspaceFolder, relativeFilePath);
+        await backend.tagResource(workspaceFolder, relativeFilePath, tagName);
+        indexTagResource(relativeFilePath, tagName);
+        if (options.silent) return true;
+        showInfo(`Tagged file: ${relativeFilePath} with tag: ${tagName}`);
+        try { await _refreshAfterTagChange(workspaceFolder, relativeFilePath); } catch (e) {}
+        return true;
+    } catch (error) {
+        if (!options.silent) showError(error);
+        return false;
+    }
+}
+
+/**
+ * Simple debounce helper
+ */
+function debounce(fn, ms = 300) {
+    let timer = null;
+    return function (...args) {
+        if (timer) clearTimeout(timer);
+        timer = setTimeout(() => fn.apply(this, args), ms);
+    };
+}
+
+/**
+ * Notify views and providers that tags, links or tagged files changed
+ */
+function notifyTagDataChanged() {
+    tagDataChangedEmitter.fire();
+}
+
+// Refresh UI after tagging (a null path refreshes the active editor unconditionally)
+async function _refreshAfterTagChange(workspaceFolder, relativeFilePath) {
+    try {
+        await updateTagCount();
+    } catch (e) {
+        // ignore
+    }
+    notifyTagDataChanged();
+    const editor = vscode.window.activeTextEditor;
+    if (editor && (relativeFilePath === null || getRelativeFilePath(editor.document.fileName, workspaceFolder) === relativeFilePath)) {
+        try { await updateTagDecorations(editor); } catch (e) { /* ignore */ }
+    }
+}
+
+/**
+ * Remove a tag from a file resource (same options and result as tagFileWithTag)
+ */
+async function untagFileWithTag(workspaceFolder, relativeFilePath, tagName, options = {}) {
+    try {
+        await getTagBackend({ group: options.group }).untagResource(workspaceFolder, relativeFilePath, tagName);
+        indexUntagResource(relativeFilePath, tagName);
+        if (options.silent) return true;
+        showInfo(`Removed tag: ${tagName} from file: ${relativeFilePath}`);
+        try { await _refreshAfterTagChange(workspaceFolder, relativeFilePath); } catch (e) {}
+        return true;
+    } catch (error) {
+        if (!options.silent) showError(error);
+        return false;
+    }
+}
+
+/**
+ * Get all tags for a file (from the index)
+ */
+async function getFileTags(workspaceFolder, relativeFilePath) {
+    await ensureTagIndex(workspaceFolder);
+    return cachedFileTags.get(relativeFilePath) || [];
+}
+
+/**
+ * Update status bar with the current file's direct and inherited tags
+ * (or the workspace tag count when the file has none)
+ */
+async function updateTagCount() {
+    const workspaceFolder = getWorkspaceFolder();
+    if (!statusBarItem) return;
+
+    const cfg = vscode.workspace.getConfiguration(CONFIG.NAMESPACE);
+    const configured = cfg.get(CONFIG.SETTING_PATH);
+    if (!configured || typeof configured !== 'string' || configured.trim() === '') {
+        statusBarItem.text = STATUS_MESSAGES.NOT_CONFIGURED;
+        return;
+    }
+
+    if (!workspaceFolder) {
+        statusBarItem.text = STATUS_MESSAGES.NOT_INITIALIZED;
+        return;
+    }
+
+    try {
+        const tags = await fetchTags(workspaceFolder);
+        const editor = vscode.window.activeTextEditor;
+        const fileTags = editor && editor.document.uri.scheme === 'file'
+            ? await getFileTags(workspaceFolder, getRelativeFilePath(editor.document.fileName, workspaceFolder))
+            : [];
+        if (fileTags.length === 0) {
+            statusBarItem.text = `HTFS: ${tags.length} tags`;
+            statusBarItem.tooltip = undefined;
+            statusBarItem.command = undefined;
+            return;
+        }
+
+        const inherited = await fetchInheritedTags(workspaceFolder, fileTags);
+        statusBarItem.text = `${getFileTagsIcon()} ${formatFileTags(fileTags, inherited)}`;
+        const marker = getTagMarker();
+        const tooltip = new vscode.MarkdownString();
+        tooltip.appendMarkdown(`**Tags:** ${fileTags.map(tag => `\`${marker}${tag}\``).join(', ')}`);
+        if (inherited.length) {
+            tooltip.appendMarkdown(`\n\n**Inherited:** ${inherited.map(tag => `\`${marker}${tag}\``).join(', ')}`);
+        }
+        statusBarItem.tooltip = tooltip;
+        statusBarItem.command = { command: 'tagfs.fileTagMenu', title: 'File Tags', arguments: [editor.document.uri] };
+    } catch (error) {
+        statusBarItem.text = STATUS_MESSAGES.ERROR;
+    }
+}
+
+/**
+ * One-line summary of direct tags followed by inherited ones, e.g. `#api, #db ⇡ #backend`
+ */
+function formatFileTags(tags, inherited) {
+    const direct = tags.map(formatTagLabel).join(', ');
+    return inherited.length
+        ? `${direct} ⇡ ${inherited.map(formatTagLabel).join(', ')}`
+        : direct;
+}
+
+/**
+ * Icon shown before a file's tags in the CodeLens and status bar
+ */
+function getFileTagsIcon() {
+    return vscode.workspace.getConfiguration(CONFIG.NAMESPACE).get('fileTagsIcon', TAG_DECORATION_EMOJI);
+}
+
+// ============================================================================
+// WORKSPACE COMMANDS
+// ============================================================================
+
+/**
+ * Initialize HTFS in the current workspace
+ */
+async function tagfsInit() {
+    const workspaceFolder = await getWorkspaceOrShowError();
+    if (!workspaceFolder) return;
+    try {
+        const stdout = await getTagBackend().init(workspaceFolder);
+        showInfo(stdout);
+        invalidateTagIndex();
+        notifyTagDataChanged();
+    } catch (error) {
+        showError(error);
+    }
+}
+
+/**
+ * List all tags in the workspace
+ */
+async function tagfsListTags() {
+    const workspaceFolder = await getWorkspaceOrShowError();
+    if (!workspaceFolder) return;
+    try {
+        const tags = await fetchTags(workspaceFolder);
+        await vscode.window.showQuickPick(tags, { placeHolder: 'Select a tag' });
+    } catch (error) {
+        showError(error);
+    }
+}
+
+/**
+ * Create a new tag
+ */
+async function tagfsAddTag() {
+    const workspaceFolder = await getWorkspaceOrShowError();
+    if (!workspaceFolder) return;
+    const tagName = await vscode.window.showInputBox({ prompt: 'Enter tag name' });
+    if (!tagName) return;
+    try {
+        const stdout = await getTagBackend().addTags(workspaceFolder, [tagName]);
+        showInfo(stdout);
+        indexAddTag(tagName);
+        notifyTagDataChanged();
+    } catch (error) {
+        showError(error);
+    }
+}
+
+/**
+ * Rename an existing tag (optionally preselected from the Tag Explorer)
+ */
+async function tagfsRenameTag(item) {
+    const workspaceFolder = await getWorkspaceOrShowError();
+    if (!workspaceFolder) return;
+
+    try {
+        const tags = await fetchTags(workspaceFolder);
+        if (tags.length === 0) {
+            showInfo('No tags available to rename.');
+            return;
+        }
+
+        // Select the tag to rename
+        const oldTag = (item && item.tag) || await vscode.window.showQuickPick(
+            tags,
+            { placeHolder: 'Select tag to rename' }
+        );
+        if (!oldTag) return;
+
+        // Enter new tag name (name collisions are rejected while typing)
+        const newTag = await vscode.window.showInputBox({
+            prompt: 'Enter new tag name',
+            value: oldTag,
+            validateInput: value => value === oldTag ? null : validateTagRename(tags, oldTag, value)
+        });
+        if (!newTag || newTag === oldTag) return;
+
+        // Offer the marker update in the refactor preview; tagfs is only renamed once it is applied
+        const edit = new RegExp(`^${TAG_NAME_PATTERN}$`, 'u').test(newTag)
+            ? await buildTagMarkerRenameEdit(workspaceFolder, oldTag, newTag, true)
+            : new vscode.WorkspaceEdit();
+        if (edit.size > 0) {
+            if (!await vscode.workspace.applyEdit(edit)) return;
+            await renameTagAfterMarkerEdit(workspaceFolder, oldTag, newTag);
+        } else {
+            await renameTagInDatabase(workspaceFolder, oldTag, newTag);
+        }
+        showInfo(`Renamed tag '${oldTag}' to '${newTag}'`);
+    } catch (error) {
+        showError(error);
+    }
+}
+
+/**
+ * Reason a tag cannot be renamed to a new name, or null if it can
+ */
+function validateTagRename(tags, oldTag, newTag) {
+    if (!tags.includes(oldTag)) return `Tag '${oldTag}' does not exist.`;
+    if (!newTag || !newTag.trim()) return 'Tag name cannot be empty.';
+    if (/\s/.test(newTag)) return 'Tag name cannot contain whitespace.';
+    if (tags.includes(newTag)) return `Tag '${newTag}' already exists.`;
+    return null;
+}
+
+/**
+ * Rename a tag in tagfs and in the index
+ */
+async function renameTagInDatabase(workspaceFolder, oldTag, newTag) {
+    await getTagBackend().renameTag(workspaceFolder, oldTag, newTag);
+    indexRenameTag(oldTag, newTag);
+    invalidateTagParents();
+    notifyTagDataChanged();
+}
+
+/**
+ * Rename a tag in tagfs after its markers were updated; if that fails the
+ * markers are put back so they keep matching the database
+ */
+async function renameTagAfterMarkerEdit(workspaceFolder, oldTag, newTag) {
+    try {
+        await renameTagInDatabase(workspaceFolder, oldTag, newTag);
+    } catch (error) {
+        const revert = await buildTagMarkerRenameEdit(workspaceFolder, newTag, oldTag, false);
+        if (revert.size > 0) await vscode.workspace.applyEdit(revert);
+        throw error;
+    }
+}
+
+/**
+ * Search for files by tag expression
+ */
+async function tagfsSearchByTag(optionalTagExpr) {
+    const workspaceFolder = await getWorkspaceOrShowError();
+    if (!workspaceFolder) return;
+
+    // Tag Explorer items pass themselves instead of an expression
+    if (optionalTagExpr && typeof optionalTagExpr !== 'string') {
+        optionalTagExpr = optionalTagExpr.tag;
+    }
+
+    try {
+        // If caller passes argument → use it; else → prompt the user
+        const tagExpr = optionalTagExpr || await promptTagExpression(workspaceFolder);
+        if (!tagExpr) return;
+
+        const parsed = parseTagExpression(tagExpr);
+        if (parsed.error) {
+            showError(`Invalid tag expression '${tagExpr}': ${parsed.error.message} at column ${parsed.error.offset + 1}`);
+            return;
+        }
+
+        const files = await runTagSearch(workspaceFolder, tagExpr);
+        if (searchResultsProvider) searchResultsProvider.setResults(tagExpr, files);
+
+        const selectedFile = await vscode.window.showQuickPick(
+            files.map(filePath => ({ label: vscode.workspace.asRelativePath(filePath, false), filePath })),
+            { placeHolder: 'Select a file' }
+        );
+
+        if (selectedFile) {
+            const doc = await vscode.workspace.openTextDocument(selectedFile.filePath);
+            await vscode.window.showTextDocument(doc);
+        }
+    } catch (error) {
+        showError(error);
+    }
+}
+
+
+/**
+ * Link one tag to another tag as a parent (child optionally preselected from the Tag Explorer)
+ */
+async function tagfsLinkTags(item) {
+    const workspaceFolder = await getWorkspaceOrShowError();
+    if (!workspaceFolder) return;
+
+    try {
+        const tags = await fetchTags(workspaceFolder);
+        if (tags.length === 0) {
+            showInfo('No tags avakilable to link.');
+            return;
+        }
+
+        // Select the child tag
+        const childTag = (item && item.tag) || await vscode.window.showQuickPick(
+            tags,
+            { placeHolder: 'Select child tag' }
+        );
+        if (!childTag) return;
+
+        // Select the parent tag
+        const parentTag = await vscode.window.showQuickPick(
+            tags.filter(tag => tag !== childTag),
+            { placeHolder: 'Select parent tag' }
+        );
+        if (!parentTag) return;
+
+        // Link the tags
+        await getTagBackend().linkTags(workspaceFolder, childTag, parentTag);
+        showInfo(`Linked tag '${childTag}' to parent tag '${parentTag}'`);
+        invalidateTagParents();
+        notifyTagDataChanged();
+    } catch (error) {
+        showError(error);
+    }
+}
+
+/**
+ * Create a new tag and link it under a parent tag
+ */
+async function tagfsAddChildTag(item) {
+    const workspaceFolder = await getWorkspaceOrShowError();
+    if (!workspaceFolder) return;
+
+    try {
+        const tags = await fetchTags(workspaceFolder);
+        const parentTag = (item && item.tag) || await vscode.window.showQuickPick(
+            tags,
+            { placeHolder: 'Select parent tag' }
+        );
+        if (!parentTag) return;
+
+        const childTag = await vscode.window.showInputBox({ prompt: `Enter new child tag name for '${parentTag}'` });
+        if (!childTag) return;
+
+        if (!tags.includes(childTag)) {
+            await getTagBackend().addTags(workspaceFolder, [childTag]);
+            indexAddTag(childTag);
+        }
+        await getTagBackend().linkTags(workspaceFolder, childTag, parentTag);
+        showInfo(`Added tag '${childTag}' under parent tag '${parentTag}'`);
+        invalidateTagParents();
+        notifyTagDataChanged();
+    } catch (error) {
+        showError(error);
+    }
+}
+
+/**
+ * Delete a tag after confirming how many files would lose it
+ */
+async function tagfsDeleteTag(item) {
+    const workspaceFolder = await getWorkspaceOrShowError();
+    if (!workspaceFolder) return;
+
+    try {
+        const tags = await fetchTags(workspaceFolder);
+        if (tags.length === 0) {
+            showInfo('No tags available to delete.');
+            return;
+        }
+
+        const tag = (item && item.tag) || await vscode.window.showQuickPick(
+            tags,
+            { placeHolder: 'Select tag to delete' }
+        );
+        if (!tag) return;
+
+        // Files tagged with a child tag lose the tag too
+        const fileCount = (await fetchResources(workspaceFolder, tag)).length;
+        const confirm = await vscode.window.showWarningMessage(
+            `Delete tag '${tag}'? ${fileCount} file(s) would lose this tag.`,
+            { modal: true },
+            'Delete'
+        );
+        if (confirm !== 'Delete') return;
+
+        await getTagBackend().removeTag(workspaceFolder, tag);
+        showInfo(`Deleted tag '${tag}'`);
+        indexRemoveTag(tag);
+        invalidateTagParents();
+        notifyTagDataChanged();
+        try { await updateTagDecorations(vscode.window.activeTextEditor); } catch (e) {}
+    } catch (error) {
+        showError(error);
+    }
+}
+
+/**
+ * Remove the link between a child tag and one of its parents
+ */
+async function tagfsUnlinkTags(item) {
+    const workspaceFolder = await getWorkspaceOrShowError();
+    if (!workspaceFolder) return;
+
+    try {
+        const tagParents = await fetchTagParents(workspaceFolder);
+        const linkedTags = [...tagParents.keys()].filter(tag => tagParents.get(tag).length > 0);
+        if (linkedTags.length === 0) {
+            showInfo('No linked tags to unlink.');
+            return;
+        }
+
+        const childTag = (item && item.tag) || await vscode.window.showQuickPick(
+            linkedTags,
+            { placeHolder: 'Select child tag' }
+        );
+        if (!childTag) return;
+
+        const parents = tagParents.get(childTag) || [];
+        if (parents.length === 0) {
+            showInfo(`Tag '${childTag}' has no parent tags.`);
+            return;
+        }
+
+        const parentTag = (item && item.parent) || (parents.length === 1 ? parents[0] : await vscode.window.showQuickPick(
+            parents,
+            { placeHolder: `Select parent tag to unlink '${childTag}' from` }
+        ));
+        if (!parentTag) return;
+
+        await getTagBackend().unlinkTags(workspaceFolder, childTag, parentTag);
+        showInfo(`Unlinked tag '${childTag}' from parent tag '${parentTag}'`);
+        invalidateTagParents();
+        notifyTagDataChanged();
+    } catch (error) {
+        showError(error);
+    }
+}
+
+/**
+ * Merge a source tag into a target tag: retag its files, carry its links over, then delete it
+ */
+async function tagfsMergeTags(item) {
+    const workspaceFolder = await getWorkspaceOrShowError();
+    if (!workspaceFolder) return;
+
+    try {
+        const tags = await fetchTags(workspaceFolder);
+        if (tags.length < 2) {
+            showInfo('At least two tags are needed to merge.');
+            return;
+        }
+
+        const sourceTag = (item && item.tag) || await vscode.window.showQuickPick(
+            tags,
+            { placeHolder: 'Select tag to merge (it will be removed)' }
+        );
+        if (!sourceTag) return;
+
+        const targetTag = await vscode.window.showQuickPick(
+            tags.filter(tag => tag !== sourceTag),
+            { placeHolder: `Select tag to merge '${sourceTag}' into` }
+        );
+        if (!targetTag) return;
+
+        // Files tagged directly are retagged; files under its child tags follow the relinked children
+        const resources = [...(cachedTagResources.get(sourceTag) || [])];
+        const fileCount = (await fetchResources(workspaceFolder, sourceTag)).length;
+        const confirm = await vscode.window.showWarningMessage(
+            `Merge '${sourceTag}' into '${targetTag}'? ${fileCount} file(s) will be tagged '${targetTag}' and '${sourceTag}' will be deleted.`,
+            { modal: true },
+            'Merge'
+        );
+        if (confirm !== 'Merge') return;
+
+        await vscode.window.withProgress(
+            { location: vscode.ProgressLocation.Notification, title: `HTFS: Merging '${sourceTag}' into '${targetTag}'` },
+            () => withJournalGroup(`Merge ${getTagMarker()}${sourceTag} into ${getTagMarker()}${targetTag}`, async (group) => {
+                const tagParents = await fetchTagParents(workspaceFolder);
+                const backend = getTagBackend({ group });
+
+                for (const resource of resources) {
+                    await backend.tagResource(workspaceFolder, resource, targetTag);
+                    indexTagResource(resource, targetTag);
+                }
+
+                // Carry the hierarchy over: source's parents become target's parents,
+                // source's children are relinked under target
+                const targetParents = tagParents.get(targetTag) || [];
+                for (const parent of tagParents.get(sourceTag) || []) {
+                    if (parent !== targetTag && !targetParents.includes(parent)) {
+                        await backend.linkTags(workspaceFolder, targetTag, parent);
+                    }
+                }
+                for (const child of getChildTags(tagParents, sourceTag)) {
+                    await backend.unlinkTags(workspaceFolder, child, sourceTag);
+                    if (child !== targetTag && !tagParents.get(child).includes(targetTag)) {
+                        await backend.linkTags(workspaceFolder, child, targetTag);
+                    }
+                }
+
+                await backend.removeTag(workspaceFolder, sourceTag);
+                indexRemoveTag(sourceTag);
+            })
+        );
+
+        showInfo(`Merged tag '${sourceTag}' into '${targetTag}'`);
+    } catch (error) {
+        showError(error);
+    }
+    invalidateTagParents();
+    notifyTagDataChanged();
+    try { await updateTagDecorations(vscode.window.activeTextEditor); } catch (e) {}
+}
+
+// ============================================================================
+// FILE/EDITOR COMMANDS
+// ============================================================================
+
+/**
+ * Show tags for the current file in a quick pick
+ */
+async function tagfsGetTagsForFile() {
+    const workspaceFolder = await getWorkspaceOrShowError();
+    if (!workspaceFolder) return;
+    const editor = await getActiveEditorOrShowError();
+    if (!editor) return;
+
+    const filePath = editor.document.fileName;
+    const relativeFilePath = getRelativeFilePath(filePath, workspaceFolder);
+
+    try {
+        const tags = await getFileTags(workspaceFolder, relativeFilePath);
+        await vscode.window.showQuickPick(tags, { placeHolder: 'File tags' });
+    } catch (error) {
+        showError(error);
+    }
+}
+
+/**
+ * Remove one tag from a file (hover action); defaults to the active editor's file
+ */
+async function tagfsUntagFile(tag, filePath) {
+    const workspaceFolder = await getWorkspaceOrShowError();
+    if (!workspaceFolder || !tag) return;
+    if (!filePath) {
+        const editor = await getActiveEditorOrShowError();
+        if (!editor) return;
+        filePath = editor.document.fileName;
+    }
+    await untagFileWithTag(workspaceFolder, getRelativeFilePath(filePath, workspaceFolder), tag);
+}
+
+/**
+ * Add or remove tags from the current file
+ */
+async function tagfsEditFileTags() {
+    const workspaceFolder = await getWorkspaceOrShowError();
+    if (!workspaceFolder) return;
+    const editor = await getActiveEditorOrShowError();
+    if (!editor) return;
+
+    const filePath = editor.document.fileName;
+    const relativeFilePath = getRelativeFilePath(filePath, workspaceFolder);
+
+    const action = await vscode.window.showQuickPick(
+        ['Add Tag', 'Remove Tag'],
+        { placeHolder: 'What do you want to do?' }
+    );
+    if (!action) return;
+
+    if (action === 'Add Tag') {
+        await handleAddTagToFile(workspaceFolder, relativeFilePath);
+    } else {
+        await handleRemoveTagFromFile(workspaceFolder, relativeFilePath);
+    }
+}
+
+/**
+ * Quick menu for a file's tags (CodeLens and status bar): add a tag, remove a
+ * direct tag or search for any direct or inherited tag
+ */
+async function tagfsFileTagMenu(uri) {
+    const workspaceFolder = await getWorkspaceOrShowError();
+    if (!workspaceFolder) return;
+    if (!uri) {
+        const editor = await getActiveEditorOrShowError();
+        if (!editor) return;
+        uri = editor.document.uri;
+    }
+    const relativeFilePath = getRelativeFilePath(uri.fsPath, workspaceFolder);
+
+    try {
+        const tags = await getFileTags(workspaceFolder, relativeFilePath);
+        const inherited = await fetchInheritedTags(workspaceFolder, tags);
+        const separator = label => ({ label, kind: vscode.QuickPickItemKind.Separator });
+        const items = [
+            { label: '$(add) Add Tag…', action: 'add' },
+            ...(tags.length ? [separator('Remove')] : []),
+            ...tags.map(tag => ({ label: `$(remove) ${getTagMarker()}${tag}`, action: 'remove', tag })),
+            ...(tags.length ? [separator('Search')] : []),
+            ...tags.map(tag => ({ label: `$(search) ${getTagMarker()}${tag}`, action: 'search', tag })),
+            ...inherited.map(tag => ({ label: `$(search) ${getTagMarker()}${tag}`, description: 'inherited', action: 'search', tag })),
+        ];
+        const picked = await vscode.window.showQuickPick(items, { placeHolder: path.basename(uri.fsPath) });
+        if (!picked) return;
+
+        if (picked.action === 'add') {
+            await handleAddTagToFile(workspaceFolder, relativeFilePath);
+        } else if (picked.action === 'remove') {
+            await untagFileWithTag(workspaceFolder, relativeFilePath, picked.tag);
+        } else {
+            await tagfsSearchByTag(getTagSearchExpression(picked.tag) || picked.tag);
+        }
+    } catch (error) {
+        showError(error);
+    }
+}
+
+/**
+ * Helper: Add tag to file with creation option
+ */
+async function handleAddTagToFile(workspaceFolder, relativeFilePath) {
+    try {
+        const tags = await fetchTags(workspaceFolder);
+        const tagName = await showQuickPickWithCreate(tags, 'Select or create a tag');
+        if (!tagName) return;
+
+        // Create tag if it doesn't exist
+        if (!tags.includes(tagName)) {
+            try {
+                const stdout = await getTagBackend().addTags(workspaceFolder, [tagName]);
+                showInfo(stdout);
+                indexAddTag(tagName);
+            } catch (error) {
+                showError(error);
+                return;
+            }
+        }
+
+        await tagFileWithTag(workspaceFolder, relativeFilePath, tagName);
+    } catch (error) {
+        showError(error);
+    }
+}
+
+/**
+ * Helper: Remove tag from file
+ */
+async function handleRemoveTagFromFile(workspaceFolder, relativeFilePath) {
+    try {
+        const tags = await getFileTags(workspaceFolder, relativeFilePath);
+        if (tags.length === 0) {
+            showInfo('No tags to remove from this file.');
+            return;
+        }
+
+        const selectedTag = await vscode.window.showQuickPick(
+            tags,
+            { placeHolder: 'Select a tag to remove' }
+        );
+        if (!selectedTag) return;
+
+        await untagFileWithTag(workspaceFolder, relativeFilePath, selectedTag);
+    } catch (error) {
+        showError(error);
+    }
+}
+
+/**
+ * Collect workspace-relative file paths from Explorer URIs, recursing into folders
+ */
+async function collectFilesFromUris(uris, workspaceFolder) {
+    const files = new Set();
+    for (const uri of uris) {
+        if (uri.scheme !== 'file') continue;
+        const stat = await vscode.workspace.fs.stat(uri);
+        if (stat.type & vscode.FileType.Directory) {
+            const children = await vscode.workspace.findFiles(new vscode.RelativePattern(uri, '**/*'));
+            children.forEach(child => files.add(getRelativeFilePath(child.fsPath, workspaceFolder)));
+        } else {
+            files.add(getRelativeFilePath(uri.fsPath, workspaceFolder));
+        }
+    }
+    return [...files].sort();
+}
+
+/**
+ * Multi-select tag picker for a set of files. Tags every file has start checked;
+ * tags only some files have are marked as mixed and stay unchanged unless toggled.
+ * Resolves to { add, remove } tag lists, or null when cancelled.
+ */
+async function pickTagChangesForFiles(workspaceFolder, files, mode) {
+    const allTags = await fetchTags(workspaceFolder);
+    const counts = new Map();
+    for (const file of files) {
+        for (const tag of await getFileTags(workspaceFolder, file)) {
+            counts.set(tag, (counts.get(tag) || 0) + 1);
+        }
+    }
+
+    // Untagging only offers tags present on the selection, pre-checked as "keep"
+    const tags = mode === 'untag' ? allTags.filter(tag => counts.has(tag)) : allTags;
+    if (tags.length === 0) {
+        showInfo(mode === 'untag' ? 'The selected files have no tags.' : 'No tags available.');
+        return null;
+    }
+
+    const items = tags.map(tag => {
+        const count = counts.get(tag) || 0;
+        const mixed = count > 0 && count < files.length;
+        const item = { label: tag, tag, mixed };
+        if (mixed) item.description = `$(circle-large-filled) mixed: on ${count} of ${files.length} files`;
+        item.initiallyChecked = mixed ? mode === 'untag' : count === files.length;
+        return item;
+    });
+
+    const quickPick = vscode.window.createQuickPick();
+    quickPick.canSelectMany = true;
+    quickPick.title = `${mode === 'untag' ? 'Untag' : 'Tag'} ${files.length} file(s)`;
+    quickPick.placeholder = mode === 'untag'
+        ? 'Uncheck tags to remove them from every selected file'
+        : 'Check tags to apply them to every selected file';
+    quickPick.items = items;
+    quickPick.selectedItems = items.filter(item => item.initiallyChecked);
+
+    const selected = await new Promise(resolve => {
+        let accepted = false;
+        quickPick.onDidAccept(() => {
+            accepted = true;
+            resolve(quickPick.selectedItems);
+            quickPick.hide();
+        });
+        quickPick.onDidHide(() => {
+            if (!accepted) resolve(null);
+            quickPick.dispose();
+        });
+        quickPick.show();
+    });
+    if (!selected) return null;
+
+    const checked = new Set(selected.map(item => item.tag));
+    const add = [];
+    const remove = [];
+    for (const item of items) {
+        if (checked.has(item.tag) === item.initiallyChecked) continue;
+        if (checked.has(item.tag)) add.push(item.tag);
+        else remove.push(item.tag);
+    }
+    return { add, remove };
+}
+
+/**
+ * Tag or untag every file selected in the Explorer (folders are recursed)
+ */
+async function tagfsEditSelectedFiles(mode, uri, selectedUris) {
+    const workspaceFolder = await getWorkspaceOrShowError();
+    if (!workspaceFolder) return;
+
+    let uris = selectedUris && selectedUris.length ? selectedUris : (uri ? [uri] : []);
+    if (uris.length === 0) {
+        const editor = await getActiveEditorOrShowError();
+        if (!editor) return;
+        uris = [editor.document.uri];
+    }
+
+    try {
+        const files = await collectFilesFromUris(uris, workspaceFolder);
+        if (files.length === 0) {
+            showInfo('No files found in the selection.');
+            return;
+        }
+
+        const changes = await pickTagChangesForFiles(workspaceFolder, files, mode);
+        if (!changes || (changes.add.length === 0 && changes.remove.length === 0)) return;
+
+        const operations = [];
+        for (const file of files) {
+            const fileTags = await getFileTags(workspaceFolder, file);
+            changes.add.filter(tag => !fileTags.includes(tag)).forEach(tag => operations.push({ file, tag, add: true }));
+            changes.remove.filter(tag => fileTags.includes(tag)).forEach(tag => operations.push({ file, tag, add: false }));
+        }
+
+        let failed = 0;
+        await vscode.window.withProgress(
+            { location: vscode.ProgressLocation.Notification, title: 'HTFS: Updating tags', cancellable: true },
+            (progress, token) => withJournalGroup(`Update tags of ${files.length} file(s)`, async (group) => {
+                for (const op of operations) {
+                    if (token.isCancellationRequested) break;
+                    progress.report({ message: op.file, increment: 100 / operations.length });
+                    const ok = op.add
+                        ? await tagFileWithTag(workspaceFolder, op.file, op.tag, { silent: true, group })
+                        : await untagFileWithTag(workspaceFolder, op.file, op.tag, { silent: true, group });
+                    if (!ok) failed++;
+                }
+            })
+        );
+
+        await _refreshAfterTagChange(workspaceFolder, null);
+        const summary = [
+            changes.add.length ? `added ${changes.add.join(', ')}` : '',
+            changes.remove.length ? `removed ${changes.remove.join(', ')}` : ''
+        ].filter(Boolean).join('; ');
+        if (failed) showError(`${failed} of ${operations.length} tag changes failed (${summary}).`);
+        else showInfo(`Updated ${files.length} file(s): ${summary}`);
+    } catch (error) {
+        showError(error);
+    }
+}
+
+// ============================================================================
+// WEBVIEW & UI FEATURES
+// ============================================================================
+
+/**
+ * Sidebar webview listing the active file's direct tags (removable chips) and
+ * inherited ancestor tags, with an add-tag box
+ */
+class TagsPanelViewProvider {
+    constructor(extensionUri) {
+        this._extensionUri = extensionUri;
+        this._view = null;
+        this._relativeFilePath = null;
+        this._fileName = null;
+    }
+
+    resolveWebviewView(webviewView) {
+        this._view = webviewView;
+        const mediaUri = vscode.Uri.joinPath(this._extensionUri, 'media');
+        webviewView.webview.options = { enableScripts: true, localResourceRoots: [mediaUri] };
+        webviewView.webview.html = this._getHtml(webviewView.webview);
+        webviewView.webview.onDidReceiveMessage(message => this._onMessage(message));
+        webviewView.onDidChangeVisibility(() => {
+            if (webviewView.visible) this.update();
+        });
+        webviewView.onDidDispose(() => { this._view = null; });
+    }
+
+    /**
+     * Follow the active editor; keeps showing the last file when focus leaves editors
+     */
+    setEditor(editor) {
+        if (!editor || editor.document.uri.scheme !== 'file') return;
+        const workspaceFolder = getWorkspaceFolder();
+        if (!workspaceFolder) return;
+        this._relativeFilePath = getRelativeFilePath(editor.document.fileName, workspaceFolder);
+        this._fileName = path.basename(editor.document.fileName);
+        this.update();
+    }
+
+    async update() {
+        if (!this._view || !this._view.visible) return;
+        const workspaceFolder = getWorkspaceFolder();
+        if (!workspaceFolder || !this._relativeFilePath) {
+            this._view.webview.postMessage({ type: 'update', file: null });
+            return;
+        }
+
+        try {
+            const tags = await getFileTags(workspaceFolder, this._relativeFilePath);
+            this._view.webview.postMessage({
+                type: 'update',
+                file: this._fileName,
+                relativePath: this._relativeFilePath,
+                marker: getTagMarker(),
+                tags,
+                inherited: await fetchInheritedTags(workspaceFolder, tags),
+                allTags: await fetchTags(workspaceFolder)
+            });
+        } catch (error) {
+            showError(error);
+        }
+    }
+
+    async _onMessage(message) {
+        const workspaceFolder = getWorkspaceFolder();
+        if (!workspaceFolder) return;
+
+        switch (message.type) {
+            case 'ready':
+                await this.update();
+                break;
+            case 'search':
+                await tagfsSearchByTag(getTagSearchExpression(message.tag) || message.tag);
+                break;
+            case 'addTag': {
+                if (!this._relativeFilePath || typeof message.tag !== 'string') return;
+                const tag = message.tag.trim();
+                try {
+                    const tags = await fetchTags(workspaceFolder);
+                    if (!tags.includes(tag)) {
+                        await getTagBackend().addTags(workspaceFolder, [tag]);
+                        indexAddTag(tag);
+                    }
+                    await tagFileWithTag(workspaceFolder, this._relativeFilePath, tag);
+                } catch (error) {
+                    showError(error);
+                }
+                break;
+            }
+            case 'removeTag':
+                if (!this._relativeFilePath || typeof message.tag !== 'string') return;
+                await untagFileWithTag(workspaceFolder, this._relativeFilePath, message.tag);
+                break;
+        }
+    }
+
+    _getHtml(webview) {
+        const nonce = getNonce();
+        const mediaUri = vscode.Uri.joinPath(this._extensionUri, 'media');
+        const scriptUri = webview.asWebviewUri(vscode.Uri.joinPath(mediaUri, 'tagsPanel.js'));
+        const styleUri = webview.asWebviewUri(vscode.Uri.joinPath(mediaUri, 'tagsPanel.css'));
+
+        return `<!DOCTYPE html>
+        <html lang="en">
+        <head>
+            <meta charset="UTF-8">
+            <meta http-equiv="Content-Security-Policy" content="default-src 'none'; style-src ${webview.cspSource}; script-src 'nonce-${nonce}';">
+            <meta name="viewport" content="width=device-width, initial-scale=1.0">
+            <link href="${styleUri}" rel="stylesheet">
+        </head>
+        <body data-tag-marker="${escapeHtml(getTagMarker())}">
+            <div id="file" class="file"></div>
+            <h3>Tags</h3>
+            <div id="direct-tags" class="chips"></div>
+            <h3>Inherited</h3>
+            <div id="inherited-tags" class="chips"></div>
+            <form id="add-form" hidden>
+                <input id="add-input" list="tag-suggestions" placeholder="Add tag…" autocomplete="off">
+                <datalist id="tag-suggestions"></datalist>
+                <button type="submit">Add</button>
+            </form>
+            <script nonce="${nonce}" src="${scriptUri}"></script>
+        </body>
+        </html>`;
+    }
+}
+
+/**
+ * Reveal the tags panel in the HTFS sidebar
+ */
+async function tagfsShowTagsPanel() {
+    await vscode.commands.executeCommand('tagfs.tagsPanel.focus');
+}
+
+// ============================================================================
+// TAG EXPLORER VIEW
+// ============================================================================
+
+/**
+ * Tags without a known parent, plus any tags only reachable through a cycle
+ */
+function getRootTags(tagParents) {
+    const roots = [...tagParents.keys()]
+        .filter(tag => !tagParents.get(tag).some(parent => tagParents.has(parent)));
+
+    const reachable = new Set();
+    const visit = (tag) => {
+        if (reachable.has(tag)) return;
+        reachable.add(tag);
+        for (const child of getChildTags(tagParents, tag)) visit(child);
+    };
+    roots.forEach(visit);
+
+    for (const tag of tagParents.keys()) {
+        if (!reachable.has(tag)) {
+            roots.push(tag);
+            visit(tag);
+        }
+    }
+    return roots.sort();
+}
+
+/**
+ * All ancestors of the given tags through the hierarchy, excluding the tags themselves
+ */
+function getAncestorTags(tagParents, tags) {
+    const ancestors = new Set();
+    const pending = [...tags];
+    while (pending.length) {
+        for (const parent of tagParents.get(pending.pop()) || []) {
+            if (!ancestors.has(parent)) {
+                ancestors.add(parent);
+                pending.push(parent);
+            }
+        }
+    }
+    tags.forEach(tag => ancestors.delete(tag));
+    return ancestors;
+}
+
+/**
+ * All descendants of a tag through the hierarchy, excluding the tag itself
+ */
+function getDescendantTags(tagParents, tag) {
+    const descendants = new Set();
+    const pending = [tag];
+    while (pending.length) {
+        const current = pending.pop();
+        for (const [child, parents] of tagParents) {
+            if (parents.includes(current) && !descendants.has(child)) {
+                descendants.add(child);
+                pending.push(child);
+            }
+        }
+    }
+    descendants.delete(tag);
+    return descendants;
+}
+
+/**
+ * Direct child tags of a tag, sorted by name
+ */
+function getChildTags(tagParents, tag) {
+    return [...tagParents.keys()]
+        .filter(child => tagParents.get(child).includes(tag))
+        .sort();
+}
+
+/**
+ * Tree data provider showing the tag hierarchy and the files under each tag
+ */
+class TagExplorerProvider {
+    constructor() {
+        this._onDidChangeTreeData = new vscode.EventEmitter();
+        this.onDidChangeTreeData = this._onDidChangeTreeData.event;
+    }
+
+    refresh() {
+        this._onDidChangeTreeData.fire();
+    }
+
+    getTreeItem(element) {
+        if (element.type === 'file') {
+            const fileUri = vscode.Uri.file(element.filePath);
+            const item = new vscode.TreeItem(fileUri, vscode.TreeItemCollapsibleState.None);
+            item.id = `${element.ancestors.join('/')}//${element.filePath}`;
+            item.contextValue = 'htfsFile';
+            item.description = vscode.workspace.asRelativePath(fileUri, false);
+            item.command = { command: 'vscode.open', title: 'Open File', arguments: [fileUri] };
+            return item;
+        }
+
+        const item = new vscode.TreeItem(element.tag, vscode.TreeItemCollapsibleState.Collapsed);
+        item.id = [...element.ancestors, element.tag].join('/');
+        item.contextValue = 'htfsTag';
+        item.iconPath = new vscode.ThemeIcon(getTagIcon(element.tag) || 'tag', getTagThemeColor(element.tag));
+        item.tooltip = `${getTagMarker()}${element.tag}`;
+        return item;
+    }
+
+    async getChildren(element) {
+        const workspaceFolder = getWorkspaceFolder();
+        if (!workspaceFolder) return [];
+
+        try {
+            const tagParents = await fetchTagParents(workspaceFolder);
+            if (!element) {
+                return getRootTags(tagParents).map(tag => createTagElement(tag, []));
+            }
+            if (element.type !== 'tag') return [];
+
+            const ancestors = [...element.ancestors, element.tag];
+            const childTags = getChildTags(tagParents, element.tag)
+                .map(tag => createTagElement(tag, ancestors));
+            const files = (await fetchResources(workspaceFolder, element.tag))
+                .map(resource => ({ type: 'file', filePath: resolveResourcePath(workspaceFolder, resource), ancestors }));
+            return [...childTags, ...files];
+        } catch (error) {
+            showError(error);
+            return [];
+        }
+    }
+
+    getParent(element) {
+        const ancestors = element.ancestors;
+        if (ancestors.length === 0) return null;
+        return createTagElement(ancestors[ancestors.length - 1], ancestors.slice(0, -1));
+    }
+}
+
+/**
+ * Tag Explorer element for a tag nested under the given ancestor path
+ */
+function createTagElement(tag, ancestors) {
+    return { type: 'tag', tag, ancestors, parent: ancestors[ancestors.length - 1] };
+}
+
+/**
+ * Shortest ancestor path from a root tag down to a tag, or null if unreachable
+ */
+function findTagPath(tagParents, tag) {
+    const queue = getRootTags(tagParents).map(root => [root]);
+    const visited = new Set();
+    while (queue.length) {
+        const tagPath = queue.shift();
+        const current = tagPath[tagPath.length - 1];
+        if (current === tag) return tagPath.slice(0, -1);
+        if (visited.has(current)) continue;
+        visited.add(current);
+        getChildTags(tagParents, current).forEach(child => queue.push([...tagPath, child]));
+    }
+    return null;
+}
+
+// ============================================================================
+// TAG GRAPH VIEW
+// ============================================================================
+
+/**
+ * Tags that are part of a link cycle (strongly connected components of size > 1, or self-links)
+ */
+function findCyclicTags(tagParents) {
+    let index = 0;
+    const indices = new Map();
+    const lowLinks = new Map();
+    const stack = [];
+    const onStack = new Set();
+    const cyclic = new Set();
+
+    const strongConnect = (tag) => {
+        indices.set(tag, index);
+        lowLinks.set(tag, index);
+        index++;
+        stack.push(tag);
+        onStack.add(tag);
+
+        for (const parent of tagParents.get(tag) || []) {
+            if (!tagParents.has(parent)) continue;
+            if (!indices.has(parent)) {
+                strongConnect(parent);
+                lowLinks.set(tag, Math.min(lowLinks.get(tag), lowLinks.get(parent)));
+            } else if (onStack.has(parent)) {
+                lowLinks.set(tag, Math.min(lowLinks.get(tag), indices.get(parent)));
+            }
+        }
+
+        if (lowLinks.get(tag) === indices.get(tag)) {
+            const component = [];
+            let member;
+            do {
+                member = stack.pop();
+                onStack.delete(member);
+                component.push(member);
+            } while (member !== tag);
+            if (component.length > 1 || (tagParents.get(tag) || []).includes(tag)) {
+                component.forEach(t => cyclic.add(t));
+            }
+        }
+    };
+
+    for (const tag of tagParents.keys()) {
+        if (!indices.has(tag)) strongConnect(tag);
+    }
+    return cyclic;
+}
+
+/**
+ * Build graph data for the webview: nodes with file counts, layer (depth below
+ * the roots), cycle and orphan flags, and parent -> child edges
+ */
+function buildTagGraph(tagParents, tagResources) {
+    const cyclic = findCyclicTags(tagParents);
+    const tags = [...tagParents.keys()];
+
+    // Longest-path layering, ignoring edges inside cycles so it terminates
+    const layers = new Map(tags.map(tag => [tag, 0]));
+    for (let pass = 0; pass < tags.length; pass++) {
+        let changed = false;
+        for (const tag of tags) {
+            for (const parent of tagParents.get(tag)) {
+                if (!layers.has(parent) || (cyclic.has(tag) && cyclic.has(parent))) continue;
+                if (layers.get(parent) + 1 > layers.get(tag)) {
+                    layers.set(tag, layers.get(parent) + 1);
+                    changed = true;
+                }
+            }
+        }
+        if (!changed) break;
+    }
+
+    const edges = [];
+    for (const tag of tags) {
+        for (const parent of tagParents.get(tag)) {
+            if (!tagParents.has(parent)) continue;
+            edges.push({ parent, child: tag, cycle: cyclic.has(tag) && cyclic.has(parent) });
+        }
+    }
+
+    const linked = new Set(edges.flatMap(edge => [edge.parent, edge.child]));
+    const nodes = tags.sort().map(tag => ({
+        id: tag,
+        count: (tagResources.get(tag) || new Set()).size,
+        layer: layers.get(tag),
+        cycle: cyclic.has(tag),
+        orphan: !linked.has(tag)
+    }));
+    return { nodes, edges };
+}
+
+/**
+ * Open (or reveal) the tag graph webview panel
+ */
+async function tagfsShowTagGraph(extensionUri) {
+    const workspaceFolder = await getWorkspaceOrShowError();
+    if (!workspaceFolder) return;
+
+    if (tagGraphPanel) {
+        tagGraphPanel.reveal();
+        return;
+    }
+
+    const mediaUri = vscode.Uri.joinPath(extensionUri, 'media');
+    const panel = vscode.window.createWebviewPanel(
+        'tagfsTagGraph',
+        'HTFS Tag Graph',
+        vscode.ViewColumn.Active,
+        { enableScripts: true, localResourceRoots: [mediaUri], retainContextWhenHidden: true }
+    );
+    tagGraphPanel = panel;
+
+    const postGraph = async () => {
+        try {
+            const tagParents = await fetchTagParents(workspaceFolder);
+            await ensureTagIndex(workspaceFolder);
+            panel.webview.postMessage({ type: 'graph', graph: buildTagGraph(tagParents, cachedTagResources) });
+        } catch (error) {
+            showError(error);
+        }
+    };
+
+    const subscriptions = [
+        tagDataChangedEmitter.event(postGraph),
+        panel.webview.onDidReceiveMessage(async (message) => {
+            if (message.type === 'ready') {
+                await postGraph();
+            } else if (message.type === 'search') {
+                await tagfsSearchByTag(getTagSearchExpression(message.tag) || message.tag);
+            } else if (message.type === 'link') {
+                await linkTagsFromGraph(workspaceFolder, message.child, message.parent);
+            }
+        })
+    ];
+    panel.onDidDispose(() => {
+        subscriptions.forEach(subscription => subscription.dispose());
+        tagGraphPanel = null;
+    });
+
+    const nonce = getNonce();
+    const scriptUri = panel.webview.asWebviewUri(vscode.Uri.joinPath(mediaUri, 'tagGraph.js'));
+    const styleUri = panel.webview.asWebviewUri(vscode.Uri.joinPath(mediaUri, 'tagGraph.css'));
+    panel.webview.html = `<!DOCTYPE html>
+        <html lang="en">
+        <head>
+            <meta charset="UTF-8">
+            <meta http-equiv="Content-Security-Policy" content="default-src 'none'; style-src ${panel.webview.cspSource}; script-src 'nonce-${nonce}';">
+            <meta name="viewport" content="width=device-width, initial-scale=1.0">
+            <link href="${styleUri}" rel="stylesheet">
+        </head>
+        <body>
+            <div id="legend">
+                <div><span class="swatch normal"></span>Tag (size = tagged files)</div>
+                <div><span class="swatch orphan"></span>Orphan (no links)</div>
+                <div><span class="swatch cycle"></span>Part of a cycle</div>
+                <div>Click to search · drag onto another tag to link · scroll to zoom</div>
+            </div>
+            <svg id="graph">
+                <g id="viewport">
+                    <g id="edges"></g>
+                    <line id="drag-line" class="drag-line hidden"></line>
+                    <g id="nodes"></g>
+                </g>
+            </svg>
+            <script nonce="${nonce}" src="${scriptUri}"></script>
+        </body>
+        </html>`;
+}
+
+/**
+ * Link two tags dropped onto each other in the graph, warning before creating a cycle
+ */
+async function linkTagsFromGraph(workspaceFolder, childTag, parentTag) {
+    try {
+        const tagParents = await fetchTagParents(workspaceFolder);
+        if (!tagParents.has(childTag) || !tagParents.has(parentTag) || childTag === parentTag) return;
+        if (tagParents.get(childTag).includes(parentTag)) {
+            showInfo(`Tag '${childTag}' is already linked to '${parentTag}'.`);
+            return;
+        }
+        if (getAncestorTags(tagParents, [parentTag]).has(childTag)) {
+            const confirm = await vscode.window.showWarningMessage(
+                `'${parentTag}' is already below '${childTag}'. Linking would create a cycle.`,
+                { modal: true },
+                'Link Anyway'
+            );
+            if (confirm !== 'Link Anyway') return;
+        }
+
+        await getTagBackend().linkTags(workspaceFolder, childTag, parentTag);
+        showInfo(`Linked tag '${childTag}' to parent tag '${parentTag}'`);
+        invalidateTagParents();
+        notifyTagDataChanged();
+    } catch (error) {
+        showError(error);
+    }
+}
+
+// ============================================================================
+// SEARCH RESULTS VIEW
+// ============================================================================
+
+/**
+ * Tree data provider for the "HTFS Search" view: saved queries and the
+ * results of the last query grouped by folder
+ */
+class SearchResultsProvider {
+    constructor(workspaceState) {
+        this._workspaceState = workspaceState;
+        this._onDidChangeTreeData = new vscode.EventEmitter();
+        this.onDidChangeTreeData = this._onDidChangeTreeData.event;
+        this.treeView = null;
+        this.expression = null;
+        this.files = [];
+    }
+
+    refresh() {
+        this._onDidChangeTreeData.fire();
+    }
+
+    getSavedQueries() {
+        return this._workspaceState.get(SAVED_QUERIES_KEY, []);
+    }
+
+    async setSavedQueries(queries) {
+        await this._workspaceState.update(SAVED_QUERIES_KEY, queries);
+        this.refresh();
+    }
+
+    /**
+     * Show results for an expression; files are absolute paths
+     */
+    setResults(expression, files) {
+        this.expression = expression;
+        this.files = [...files].sort();
+        if (this.treeView) {
+            this.treeView.description = `${expression} — ${files.length} file${files.length === 1 ? '' : 's'}`;
+        }
+        this.refresh();
+    }
+
+    /**
+     * Run the last query again and update the results
+     */
+    async rerun() {
+        const workspaceFolder = getWorkspaceFolder();
+        if (!this.expression || !workspaceFolder) return;
+        this.setResults(this.expression, await runTagSearch(workspaceFolder, this.expression));
+    }
+
+    getTreeItem(element) {
+        switch (element.type) {
+            case 'savedGroup': {
+                const item = new vscode.TreeItem('Saved Queries', vscode.TreeItemCollapsibleState.Expanded);
+                item.iconPath = new vscode.ThemeIcon('bookmark');
+                return item;
+            }
+            case 'saved': {
+                const item = new vscode.TreeItem(element.query.name, vscode.TreeItemCollapsibleState.None);
+                item.description = element.query.expression;
+                item.contextValue = 'htfsSavedQuery';
+                item.iconPath = new vscode.ThemeIcon('search');
+                item.command = { command: 'tagfs.runSavedQuery', title: 'Run Query', arguments: [element] };
+                return item;
+            }
+            case 'folder': {
+                const item = new vscode.TreeItem(element.folder, vscode.TreeItemCollapsibleState.Expanded);
+                item.iconPath = vscode.ThemeIcon.Folder;
+                item.description = `${element.files.length}`;
+                return item;
+            }
+            default: {
+                const fileUri = vscode.Uri.file(element.filePath);
+                const item = new vscode.TreeItem(fileUri, vscode.TreeItemCollapsibleState.None);
+                item.contextValue = 'htfsFile';
+                item.command = { command: 'vscode.open', title: 'Open File', arguments: [fileUri] };
+                return item;
+            }
+        }
+    }
+
+    getChildren(element) {
+        if (!element) {
+            const roots = [];
+            if (this.getSavedQueries().length) roots.push({ type: 'savedGroup' });
+            return [...roots, ...this._groupByFolder()];
+        }
+        if (element.type === 'savedGroup') {
+            return this.getSavedQueries().map(query => ({ type: 'saved', query }));
+        }
+        if (element.type === 'folder') {
+            return element.files.map(filePath => ({ type: 'file', filePath }));
+        }
+        return [];
+    }
+
+    _groupByFolder() {
+        const workspaceFolder = getWorkspaceFolder();
+        const folders = new Map();
+        for (const filePath of this.files) {
+            const folder = workspaceFolder
+                ? (path.relative(workspaceFolder, path.dirname(filePath)).replace(/\\/g, '/') || '.')
+                : path.dirname(filePath);
+            if (!folders.has(folder)) folders.set(folder, []);
+            folders.get(folder).push(filePath);
+        }
+        return [...folders.keys()].sort().map(folder => ({ type: 'folder', folder, files: folders.get(folder) }));
+    }
+}
+
+/**
+ * Run `tagfs lsresources` for an expression, returning absolute file paths
+ */
+async function runTagSearch(workspaceFolder, tagExpr) {
+    const resources = await getTagBackend().search(workspaceFolder, tagExpr);
+    return resources.map(resource => resolveResourcePath(workspaceFolder, resource));
+}
+
+/**
+ * Open every file in the current search results
+ */
+async function tagfsOpenAllSearchResults() {
+    if (!searchResultsProvider || searchResultsProvider.files.length === 0) {
+        showInfo('No search results to open.');
+        return;
+    }
+    for (const filePath of searchResultsProvider.files) {
+        try {
+            const doc = await vscode.workspace.openTextDocument(filePath);
+            await vscode.window.showTextDocument(doc, { preview: false, preserveFocus: true });
+        } catch (error) {
+            showError(`Cannot open ${filePath}: ${error.message || error}`);
+        }
+    }
+}
+
+/**
+ * Copy the workspace-relative paths of the current search results
+ */
+async function tagfsCopySearchResultPaths() {
+    if (!searchResultsProvider || searchResultsProvider.files.length === 0) {
+        showInfo('No search results to copy.');
+        return;
+    }
+    const paths = searchResultsProvider.files.map(filePath => vscode.workspace.asRelativePath(filePath, false));
+    await vscode.env.clipboard.writeText(paths.join('\n'));
+    showInfo(`Copied ${paths.length} path(s) to the clipboard.`);
+}
+
+/**
+ * Re-run the last search
+ */
+async function tagfsRerunSearch() {
+    if (!searchResultsProvider || !searchResultsProvider.expression) {
+        await tagfsSearchByTag();
+        return;
+    }
+    try {
+        await searchResultsProvider.rerun();
+    } catch (error) {
+        showError(error);
+    }
+}
+
+/**
+ * Save the current (or a newly entered) query under a name
+ */
+async function tagfsSaveQuery() {
+    const workspaceFolder = await getWorkspaceOrShowError();
+    if (!workspaceFolder || !searchResultsProvider) return;
+
+    try {
+        const expression = searchResultsProvider.expression || await promptTagExpression(workspaceFolder);
+        if (!expression) return;
+
+        const name = await vscode.window.showInputBox({ prompt: 'Enter a name for this query', value: expression });
+        if (!name) return;
+
+        const queries = searchResultsProvider.getSavedQueries().filter(query => query.name !== name);
+        await searchResultsProvider.setSavedQueries([...queries, { name, expression }]);
+        showInfo(`Saved query '${name}'`);
+    } catch (error) {
+        showError(error);
+    }
+}
+
+/**
+ * Run a saved query (from the view, or picked from the command palette)
+ */
+async function tagfsRunSavedQuery(item) {
+    if (!searchResultsProvider) return;
+    let query = item && item.query;
+    if (!query) {
+        const queries = searchResultsProvider.getSavedQueries();
+        if (queries.length === 0) {
+            showInfo('No saved queries yet. Use "HTFS: Save Search Query" first.');
+            return;
+        }
+        const picked = await vscode.window.showQuickPick(
+            queries.map(q => ({ label: q.name, description: q.expression, query: q })),
+            { placeHolder: 'Select a saved query' }
+        );
+        if (!picked) return;
+        query = picked.query;
+    }
+    await tagfsSearchByTag(query.expression);
+}
+
+/**
+ * Remove a saved query
+ */
+async function tagfsDeleteSavedQuery(item) {
+    if (!searchResultsProvider || !item || !item.query) return;
+    const queries = searchResultsProvider.getSavedQueries().filter(query => query.name !== item.query.name);
+    await searchResultsProvider.setSavedQueries(queries);
+}
+
+// ============================================================================
+// TAG COVERAGE
+// ============================================================================
+
+/**
+ * Parse a .gitignore into rules ({ negate, dirOnly, regex }), using the
+ * auto-tag glob syntax; patterns without a slash match at any depth
+ */
+function parseGitignore(text) {
+    return text.split(/\r?\n/)
+        .map(line => line.trim())
+        .filter(line => line && !line.startsWith('#'))
+        .map(line => {
+            const negate = line.startsWith('!');
+            if (negate) line = line.slice(1);
+            const dirOnly = line.endsWith('/');
+            if (dirOnly) line = line.slice(0, -1);
+            const anchored = line.includes('/');
+            line = line.replace(/^\//, '');
+            return { negate, dirOnly, regex: new RegExp(`^${globToRegExpSource(anchored ? line : `**/${line}`)}$`) };
+        });
+}
+
+/**
+ * Whether a workspace-relative path (without `./`) is ignored by the rules;
+ * a path is ignored when it or one of its parent folders matches
+ */
+function isGitignored(rules, relativePath) {
+    const segments = relativePath.split('/');
+    let ignored = false;
+    for (const rule of rules) {
+        for (let i = 1; i <= segments.length; i++) {
+            if (rule.dirOnly && i === segments.length) continue;
+            if (rule.regex.test(segments.slice(0, i).join('/'))) {
+                ignored = !rule.negate;
+                break;
+            }
+        }
+    }
+    return ignored;
+}
+
+/**
+ * Workspace files as `./`-relative paths, honoring `files.exclude` (via
+ * findFiles) and the workspace root .gitignore
+ */
+async function listCoverageFiles(workspaceFolder) {
+    let rules = [];
+    try {
+        rules = parseGitignore(fs.readFileSync(path.join(workspaceFolder, '.gitignore'), 'utf8'));
+    } catch (e) {
+        // no .gitignore
+    }
+    return (await vscode.workspace.findFiles('**/*'))
+        .filter(uri => uri.fsPath.startsWith(workspaceFolder + path.sep))
+        .map(uri => getRelativeFilePath(uri.fsPath, workspaceFolder))
+        .filter(relativeFilePath => !isGitignored(rules, relativeFilePath.slice(2)))
+        .sort();
+}
+
+/**
+ * Tag coverage of the workspace: totals, per-folder shares (down to
+ * COVERAGE_FOLDER_DEPTH), top tags by file count, unused tags and untagged files
+ */
+async function computeTagCoverage(workspaceFolder) {
+    const files = await listCoverageFiles(workspaceFolder);
+    const tags = await fetchTags(workspaceFolder);
+    const folders = new Map();
+    const untagged = [];
+
+    for (const file of files) {
+        const isTagged = (cachedFileTags.get(file) || []).length > 0;
+        if (!isTagged) untagged.push(file);
+
+        const segments = file.slice(2).split('/').slice(0, -1);
+        for (let depth = 1; depth <= Math.min(segments.length, COVERAGE_FOLDER_DEPTH); depth++) {
+            const folder = segments.slice(0, depth).join('/');
+            if (!folders.has(folder)) folders.set(folder, { folder, depth, total: 0, tagged: 0 });
+            folders.get(folder).total++;
+            if (isTagged) folders.get(folder).tagged++;
+        }
+    }
+
+    const tagCounts = tags.map(tag => ({ tag, count: (cachedTagResources.get(tag) || new Set()).size }));
+    return {
+        total: files.length,
+        tagged: files.length - untagged.length,
+        folders: [...folders.values()].sort((a, b) => a.folder.localeCompare(b.folder)),
+        topTags: tagCounts.filter(entry => entry.count > 0)
+            .sort((a, b) => b.count - a.count || a.tag.localeCompare(b.tag))
+            .slice(0, COVERAGE_TOP_TAGS),
+        unusedTags: tagCounts.filter(entry => entry.count === 0).map(entry => entry.tag).sort(),
+        untagged,
+    };
+}
+
+/**
+ * Pick or create a tag for an untagged file (coverage view and Untagged Files tree)
+ */
+async function tagfsTagUntaggedFile(item) {
+    const workspaceFolder = await getWorkspaceOrShowError();
+    if (!workspaceFolder || !item) return;
+    const filePath = item instanceof vscode.Uri ? item.fsPath : item.filePath;
+    await handleAddTagToFile(workspaceFolder, getRelativeFilePath(filePath, workspaceFolder));
+}
+
+/**
+ * Show the tag coverage dashboard
+ */
+async function tagfsShowTagCoverage(extensionUri) {
+    const workspaceFolder = await getWorkspaceOrShowError();
+    if (!workspaceFolder) return;
+
+    if (tagCoveragePanel) {
+        tagCoveragePanel.reveal();
+        return;
+    }
+
+    const mediaUri = vscode.Uri.joinPath(extensionUri, 'media');
+    const panel = vscode.window.createWebviewPanel(
+        'tagfsTagCoverage',
+        'HTFS Tag Coverage',
+        vscode.ViewColumn.Active,
+        { enableScripts: true, localResourceRoots: [mediaUri] }
+    );
+    tagCoveragePanel = panel;
+
+    const postCoverage = async () => {
+        try {
+            panel.webview.postMessage({ type: 'coverage', marker: getTagMarker(), coverage: await computeTagCoverage(workspaceFolder) });
+        } catch (error) {
+            showError(error);
+        }
+    };
+
+    const subscriptions = [
+        tagDataChangedEmitter.event(debounce(postCoverage, 500)),
+        panel.onDidChangeViewState(() => {
+            if (panel.visible) postCoverage();
+        }),
+        panel.webview.onDidReceiveMessage(async (message) => {
+            if (message.type === 'ready' || message.type === 'refresh') {
+                await postCoverage();
+            } else if (message.type === 'open' && typeof message.file === 'string') {
+                await vscode.commands.executeCommand('vscode.open', vscode.Uri.file(resolveResourcePath(workspaceFolder, message.file)));
+            } else if (message.type === 'tagFile' && typeof message.file === 'string') {
+                await handleAddTagToFile(workspaceFolder, message.file);
+            } else if (message.type === 'search' && typeof message.tag === 'string') {
+                await tagfsSearchByTag(getTagSearchExpression(message.tag) || message.tag);
+            }
+        })
+    ];
+    panel.onDidDispose(() => {
+        subscriptions.forEach(subscription => subscription.dispose());
+        tagCoveragePanel = null;
+    });
+
+    const nonce = getNonce();
+    const scriptUri = panel.webview.asWebviewUri(vscode.Uri.joinPath(mediaUri, 'tagCoverage.js'));
+    const styleUri = panel.webview.asWebviewUri(vscode.Uri.joinPath(mediaUri, 'tagCoverage.css'));
+    panel.webview.html = `<!DOCTYPE html>
+        <html lang="en">
+        <head>
+            <meta charset="UTF-8">
+            <meta http-equiv="Content-Security-Policy" content="default-src 'none'; style-src ${panel.webview.cspSource}; script-src 'nonce-${nonce}';">
+            <meta name="viewport" content="width=device-width, initial-scale=1.0">
+            <link href="${styleUri}" rel="stylesheet">
+        </head>
+        <body>
+            <header>
+                <h2 id="summary">Loading…</h2>
+                <button id="refresh" title="Rescan workspace files">Refresh</button>
+            </header>
+            <section>
+                <h3>By folder</h3>
+                <table id="folders"></table>
+            </section>
+            <section>
+                <h3>Top tags</h3>
+                <table id="top-tags"></table>
+            </section>
+            <section>
+                <h3>Tags without files</h3>
+                <div id="unused-tags" class="chips"></div>
+            </section>
+            <section>
+                <h3 id="untagged-title">Untagged files</h3>
+                <ul id="untagged"></ul>
+            </section>
+            <script nonce="${nonce}" src="${scriptUri}"></script>
+        </body>
+        </html>`;
+}
+
+/**
+ * Tree data provider listing workspace files without any tag
+ */
+class UntaggedFilesProvider {
+    constructor() {
+        this._onDidChangeTreeData = new vscode.EventEmitter();
+        this.onDidChangeTreeData = this._onDidChangeTreeData.event;
+    }
+
+    refresh() {
+        this._onDidChangeTreeData.fire();
+    }
+
+    getTreeItem(element) {
+        const fileUri = vscode.Uri.file(element.filePath);
+        const item = new vscode.TreeItem(fileUri, vscode.TreeItemCollapsibleState.None);
+        item.contextValue = 'htfsUntaggedFile';
+        item.description = path.dirname(vscode.workspace.asRelativePath(fileUri, false)).replace(/^\.$/, '');
+        item.command = { command: 'vscode.open', title: 'Open File', arguments: [fileUri] };
+        return item;
+    }
+
+    async getChildren(element) {
+        const workspaceFolder = getWorkspaceFolder();
+        if (element || !workspaceFolder) return [];
+        try {
+            const { untagged } = await computeTagCoverage(workspaceFolder);
+            return untagged.map(file => ({ filePath: resolveResourcePath(workspaceFolder, file) }));
+        } catch (error) {
+            showError(error);
+            return [];
+        }
+    }
+}
+
+// ============================================================================
+// TAG FILE SYSTEM (htfs: scheme)
+// ============================================================================
+
+/**
+ * Virtual file system where folders are tags and files are the resources tagged
+ * with every tag on the path, e.g. htfs:/project/backend/server.js
+ */
+class TagFileSystemProvider {
+    constructor() {
+        this._onDidChangeFile = new vscode.EventEmitter();
+        this.onDidChangeFile = this._onDidChangeFile.event;
+    }
+
+    /**
+     * Tell VS Code that folder contents may have changed
+     */
+    notifyChanged() {
+        this._onDidChangeFile.fire([{
+            type: vscode.FileChangeType.Changed,
+            uri: vscode.Uri.from({ scheme: HTFS_SCHEME, path: '/' })
+        }]);
+    }
+
+    watch() {
+        // Changes are pushed through notifyChanged() after tag operations
+        return new vscode.Disposable(() => {});
+    }
+
+    async stat(uri) {
+        const entry = await this._resolve(uri);
+        if (entry.type === vscode.FileType.Directory) {
+            return { type: vscode.FileType.Directory, ctime: 0, mtime: 0, size: 0 };
+        }
+        const stats = await this._wrapFsError(uri, () => fs.promises.stat(entry.filePath));
+        return { type: vscode.FileType.File, ctime: stats.ctimeMs, mtime: stats.mtimeMs, size: stats.size };
+    }
+
+    async readDirectory(uri) {
+        const entry = await this._resolve(uri);
+        if (entry.type !== vscode.FileType.Directory) throw vscode.FileSystemError.FileNotADirectory(uri);
+
+        const workspaceFolder = getWorkspaceFolder();
+        const tagParents = await fetchTagParents(workspaceFolder);
+        if (entry.tags.length === 0) {
+            return getRootTags(tagParents).map(tag => [tag, vscode.FileType.Directory]);
+        }
+
+        const childTags = getChildTags(tagParents, entry.tags[entry.tags.length - 1])
+            .map(tag => [tag, vscode.FileType.Directory]);
+        const files = [...(await this._listFiles(workspaceFolder, entry.tags)).keys()]
+            .map(name => [name, vscode.FileType.File]);
+        return [...childTags, ...files];
+    }
+
+    async readFile(uri) {
+        const entry = await this._resolve(uri);
+        if (entry.type === vscode.FileType.Directory) throw vscode.FileSystemError.FileIsADirectory(uri);
+        return this._wrapFsError(uri, () => fs.promises.readFile(entry.filePath));
+    }
+
+    async writeFile(uri, content, options) {
+        const existing = await this._tryResolve(uri);
+        if (existing) {
+            if (existing.type === vscode.FileType.Directory) throw vscode.FileSystemError.FileIsADirectory(uri);
+            if (!options.overwrite) throw vscode.FileSystemError.FileExists(uri);
+            await this._wrapFsError(uri, () => fs.promises.writeFile(existing.filePath, content));
+            return;
+        }
+        if (!options.create) throw vscode.FileSystemError.FileNotFound(uri);
+
+        // New entries are created in the workspace root and tagged with the folder's tags
+        const { tags, name } = await this._resolveParent(uri);
+        if (tags.length === 0) throw vscode.FileSystemError.NoPermissions('Files can only be created inside a tag folder');
+
+        const workspaceFolder = getWorkspaceFolder();
+        const filePath = path.join(workspaceFolder, name);
+        await this._wrapFsError(uri, () => fs.promises.writeFile(filePath, content, { flag: options.overwrite ? 'w' : 'wx' }));
+
+        const relativeFilePath = getRelativeFilePath(filePath, workspaceFolder);
+        await this._runTagCommand(['addresource', relativeFilePath]);
+        for (const tag of tags) {
+            await this._runTagCommand(['tagresource', relativeFilePath, tag]);
+            indexTagResource(relativeFilePath, tag);
+        }
+        notifyTagDataChanged();
+    }
+
+    async rename(oldUri, newUri, options) {
+        const source = await this._resolve(oldUri);
+        if (source.type === vscode.FileType.Directory) {
+            throw vscode.FileSystemError.NoPermissions('Tag folders cannot be moved');
+        }
+
+        const target = await this._resolveParent(newUri);
+        if (target.name !== source.name) {
+            throw vscode.FileSystemError.NoPermissions('Files can only be moved between tag folders, not renamed');
+        }
+        if (!options.overwrite && await this._tryResolve(newUri)) {
+            throw vscode.FileSystemError.FileExists(newUri);
+        }
+
+        const workspaceFolder = getWorkspaceFolder();
+        const relativeFilePath = getRelativeFilePath(source.filePath, workspaceFolder);
+        for (const tag of source.tags.filter(t => !target.tags.includes(t))) {
+            await this._runTagCommand(['untagresource', relativeFilePath, tag]);
+            indexUntagResource(relativeFilePath, tag);
+        }
+        for (const tag of target.tags.filter(t => !source.tags.includes(t))) {
+            await this._runTagCommand(['tagresource', relativeFilePath, tag]);
+            indexTagResource(relativeFilePath, tag);
+        }
+        notifyTagDataChanged();
+    }
+
+    async delete(uri) {
+        const entry = await this._resolve(uri);
+        if (entry.type === vscode.FileType.Directory) {
+            throw vscode.FileSystemError.NoPermissions('Tag folders cannot be deleted here');
+        }
+
+        // Deleting from a tag folder only removes the folder's own tag; the real file stays
+        const workspaceFolder = getWorkspaceFolder();
+        const relativeFilePath = getRelativeFilePath(entry.filePath, workspaceFolder);
+        const tag = entry.tags[entry.tags.length - 1];
+        await this._runTagCommand(['untagresource', relativeFilePath, tag]);
+        indexUntagResource(relativeFilePath, tag);
+        notifyTagDataChanged();
+    }
+
+    async createDirectory(uri) {
+        const { tags, name } = await this._resolveParent(uri);
+        const workspaceFolder = getWorkspaceFolder();
+        const allTags = await fetchTags(workspaceFolder);
+
+        // A new folder is a new tag, linked under the enclosing tag folder
+        if (!allTags.includes(name)) {
+            await this._runTagCommand(['addtags', name]);
+            indexAddTag(name);
+        }
+        if (tags.length > 0) {
+            await this._runTagCommand(['linktags', name, tags[tags.length - 1]]);
+        }
+        invalidateTagParents();
+        notifyTagDataChanged();
+    }
+
+    /**
+     * Map a URI to a tag folder ({ type: Directory, tags }) or a tagged file
+     * ({ type: File, tags, name, filePath }); throws FileNotFound otherwise
+     */
+    async _resolve(uri) {
+        const workspaceFolder = getWorkspaceFolder();
+        if (!workspaceFolder) throw vscode.FileSystemError.Unavailable(uri);
+
+        const segments = uri.path.split('/').filter(Boolean);
+        const allTags = await fetchTags(workspaceFolder);
+        if (segments.every(segment => allTags.includes(segment))) {
+            return { type: vscode.FileType.Directory, tags: segments };
+        }
+
+        const name = segments.pop();
+        if (segments.length === 0 || !segments.every(segment => allTags.includes(segment))) {
+            throw vscode.FileSystemError.FileNotFound(uri);
+        }
+        const filePath = (await this._listFiles(workspaceFolder, segments)).get(name);
+        if (!filePath) throw vscode.FileSystemError.FileNotFound(uri);
+        return { type: vscode.FileType.File, tags: segments, name, filePath };
+    }
+
+    async _tryResolve(uri) {
+        try {
+            return await this._resolve(uri);
+        } catch (error) {
+            if (error instanceof vscode.FileSystemError && error.code === 'FileNotFound') return null;
+            throw error;
+        }
+    }
+
+    /**
+     * Resolve the tag folder containing a URI, returning its tags and the entry name
+     */
+    async _resolveParent(uri) {
+        const name = path.posix.basename(uri.path);
+        const parent = await this._resolve(uri.with({ path: path.posix.dirname(uri.path) }));
+        if (parent.type !== vscode.FileType.Directory) throw vscode.FileSystemError.FileNotADirectory(uri);
+        return { tags: parent.tags, name };
+    }
+
+    /**
+     * Files tagged with every tag, keyed by a unique display name
+     */
+    async _listFiles(workspaceFolder, tags) {
+        const resources = await fetchResources(workspaceFolder, tags.join(' & '));
+        const files = new Map();
+        for (const resource of resources) {
+            const filePath = resolveResourcePath(workspaceFolder, resource);
+            let name = path.basename(filePath);
+            if (files.has(name)) {
+                // Disambiguate same-named files from different directories
+                name = `${name} (${path.relative(workspaceFolder, path.dirname(filePath)).replace(/\\/g, '/')})`;
+            }
+            files.set(name, filePath);
+        }
+        return files;
+    }
+
+    async _runTagCommand(args) {
+        try {
+            return await applyTagCommand(getTagBackend(), getWorkspaceFolder(), args);
+        } catch (error) {
+            throw vscode.FileSystemError.Unavailable(String(error));
+        }
+    }
+
+    async _wrapFsError(uri, fn) {
+        try {
+            return await fn();
+        } catch (error) {
+            if (error.code === 'ENOENT') throw vscode.FileSystemError.FileNotFound(uri);
+            if (error.code === 'EEXIST') throw vscode.FileSystemError.FileExists(uri);
+            if (error.code === 'EACCES' || error.code === 'EPERM') throw vscode.FileSystemError.NoPermissions(uri);
+            throw error;
+        }
+    }
+}
+
+/**
+ * Add the htfs: tag file system as a workspace folder
+ */
+async function tagfsOpenTagFileSystem() {
+    const workspaceFolder = await getWorkspaceOrShowError();
+    if (!workspaceFolder) return;
+
+    const folders = vscode.workspace.workspaceFolders || [];
+    if (folders.some(folder => folder.uri.scheme === HTFS_SCHEME)) {
+        showInfo('HTFS tag folders are already open in this workspace.');
+        return;
+    }
+    vscode.workspace.updateWorkspaceFolders(folders.length, 0, {
+        uri: vscode.Uri.from({ scheme: HTFS_SCHEME, path: '/' }),
+        name: 'HTFS Tags'
+    });
+}
+
+// ============================================================================
+// DECORATIONS & CODELENS
+// ============================================================================
+
+const tagUnderlineDecorationType = vscode.window.createTextEditorDecorationType({
+    // Add a small underline offset so the underline has some vertical padding
+    // `text-underline-offset` provides the visual padding beneath the text
+    textDecoration: 'underline; text-underline-offset: 3px',
+    rangeBehavior: vscode.DecorationRangeBehavior.ClosedClosed
+});
+
+// Cache for decoration types by color
+const tagDecorationTypes = new Map();
+
+function escapeRegExp(string) {
+    return string.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Size of the default palette: the `htfs.tagColor1`..`htfs.tagColorN` theme
+// colors contributed in package.json, so themes can override them
+const TAG_COLOR_COUNT = 5;
+
+// Literal CSS colors in `tagfs.tagColors`; anything else is a theme color id
+const CSS_COLOR_PATTERN = /^(#|rgba?\(|hsla?\()/i;
+
+/**
+ * Pick a consistent palette index for a tag based on its name
+ */
+function getTagColorIndex(tag) {
+    // Simple hash function to generate consistent colors
+    let hash = 0;
+    for (let i = 0; i < tag.length; i++) {
+        hash = ((hash << 5) - hash) + tag.charCodeAt(i);
+        hash = hash & hash; // Convert to 32-bit integer
+    }
+
+    // Use hash to select a color from the palette
+    return Math.abs(hash) % TAG_COLOR_COUNT;
+}
+
+/**
+ * Color of a tag: its `tagfs.tagColors` entry (a CSS color or theme color id),
+ * otherwise a consistent palette theme color id based on its name
+ */
+function getTagColor(tag) {
+    const colors = vscode.workspace.getConfiguration(CONFIG.NAMESPACE).get('tagColors', {}) || {};
+    const configured = typeof colors[tag] === 'string' ? colors[tag].trim() : '';
+    return configured || `htfs.tagColor${getTagColorIndex(tag) + 1}`;
+}
+
+/**
+ * A getTagColor value as a decoration color (CSS string or ThemeColor)
+ */
+function toDecorationColor(color) {
+    return CSS_COLOR_PATTERN.test(color) ? color : new vscode.ThemeColor(color);
+}
+
+/**
+ * Tag color as a ThemeColor usable in file decorations and tree icons
+ * (literal CSS colors are not allowed there, so they fall back to the palette)
+ */
+function getTagThemeColor(tag) {
+    const color = getTagColor(tag);
+    return new vscode.ThemeColor(CSS_COLOR_PATTERN.test(color) ? `htfs.tagColor${getTagColorIndex(tag) + 1}` : color);
+}
+
+/**
+ * Codicon id configured for a tag in `tagfs.tagIcons`, or null
+ */
+function getTagIcon(tag) {
+    const icons = vscode.workspace.getConfiguration(CONFIG.NAMESPACE).get('tagIcons', {}) || {};
+    return typeof icons[tag] === 'string' && icons[tag].trim() ? icons[tag].trim() : null;
+}
+
+/**
+ * Marker that precedes tag names in content and labels (`tagfs.contentTagging.marker`)
+ */
+function getTagMarker(document) {
+    return getContentTaggingConfig(document).marker;
+}
+
+/**
+ * Tag label for CodeLens, status bar and quick picks, with its icon if configured
+ */
+function formatTagLabel(tag) {
+    const icon = getTagIcon(tag);
+    return `${icon ? `$(${icon}) ` : ''}${getTagMarker()}${tag}`;
+}
+
+/**
+ * Whether an editor feature (`codeLens`, `decorations`, `completion`) is enabled
+ * for a document; each toggle can be overridden per language
+ */
+function isFeatureEnabled(feature, document) {
+    return vscode.workspace.getConfiguration(`${CONFIG.NAMESPACE}.${feature}`, document).get('enabled', true);
+}
+
+/**
+ * Dispose the per-color decoration types so new colors apply on the next update
+ */
+function resetTagDecorationTypes() {
+    for (const decorationType of tagDecorationTypes.values()) {
+        decorationType.dispose();
+    }
+    tagDecorationTypes.clear();
+}
+
+/**
+ * Update inline underline decorations for every tag occurrence in the document
+ */
+async function updateTagDecorations(editor) {
+    if (!editor || !editor.document) return;
+
+    const workspaceFolder = getWorkspaceFolder();
+    if (!workspaceFolder) return;
+
+    const relativeFilePath = getRelativeFilePath(editor.document.fileName, workspaceFolder);
+
+    try {
+        const tags = isFeatureEnabled('decorations', editor.document)
+            ? await getFileTags(workspaceFolder, relativeFilePath)
+            : [];
+        if (!tags || tags.length === 0) {
+            // Clear all decoration types
+            for (const decorationType of tagDecorationTypes.values()) {
+                editor.setDecorations(decorationType, []);
+            }
+            editor.setDecorations(tagUnderlineDecorationType, []);
+            return;
+        }
+
+        const docText = editor.document.getText();
+        const marker = getTagMarker(editor.document);
+        const decorationsByColor = new Map();
+
+        // For each tag, find every occurrence and group by color
+        for (const tag of tags) {
+            if (!tag || typeof tag !== 'string') continue;
+            const esc = '(?:^|[ \\n\\t])' + escapeRegExp(tag) + '(?:$|\\r?[ \\n\\t])';
+            const re = new RegExp(esc, 'g');
+            let match;
+            while ((match = re.exec(docText)) !== null) {
+                const fullMatch = match[0];
+                const tagStartInMatch = fullMatch.indexOf(tag);
+                const startOffset = match.index + tagStartInMatch;
+                const endOffset = startOffset + tag.length;
+                const startPos = editor.document.positionAt(startOffset);
+                const endPos = editor.document.positionAt(endOffset);
+                const range = new vscode.Range(startPos, endPos);
+
+                const tagColor = getTagColor(tag);
+
+                if (!decorationsByColor.has(tagColor)) {
+                    decorationsByColor.set(tagColor, []);
+                }
+
+                const decoration = {
+                    range,
+                    renderOptions: {
+                        before: {
+                            contentText: marker,
+                            margin: '0 0.0em 0 0',
+                            color: new vscode.ThemeColor('descriptionForeground')
+                        }
+                    }
+                };
+
+                decorationsByColor.get(tagColor).push(decoration);                
+            }
+        }
+
+        // Apply decorations for each color
+        for (const [color, decorations] of decorationsByColor) {
+            if (!tagDecorationTypes.has(color)) {
+                const decorationType = vscode.window.createTextEditorDecorationType({
+                    textDecoration: 'underline; text-underline-offset: 3px',
+                    rangeBehavior: vscode.DecorationRangeBehavior.ClosedClosed,
+                    backgroundColor: toDecorationColor(color)
+                });
+                tagDecorationTypes.set(color, decorationType);
+            }
+            const decorationType = tagDecorationTypes.get(color);
+            editor.setDecorations(decorationType, decorations);
+        }
+
+        // Clear unused decoration types
+        for (const [color, decorationType] of tagDecorationTypes) {
+            if (!decorationsByColor.has(color)) {
+                editor.setDecorations(decorationType, []);
+            }
+        }
+
+    } catch (e) {
+        // Clear all decorations on error
+        for (const decorationType of tagDecorationTypes.values()) {
+            editor.setDecorations(decorationType, []);
+        }
+        editor.setDecorations(tagUnderlineDecorationType, []);
+    }
+}
+
+/**
+ * Code lens provider for showing direct and inherited tags on the first line
+ */
+class TagFsCodeLensProvider {
+    constructor() {
+        this._onDidChangeCodeLenses = new vscode.EventEmitter();
+        this.onDidChangeCodeLenses = this._onDidChangeCodeLenses.event;
+    }
+
+    refresh() {
+        this._onDidChangeCodeLenses.fire();
+    }
+
+    async provideCodeLenses(document, token) {
+        const workspaceFolder = getWorkspaceFolder();
+        if (!workspaceFolder) return [];
+
+        if (!isFeatureEnabled('codeLens', document)) return [];
+        const relativeFilePath = getRelativeFilePath(document.fileName, workspaceFolder);
+
+        try {
+            const tags = await getFileTags(workspaceFolder, relativeFilePath);
+            if (tags.length === 0) return [];
+            const inherited = await fetchInheritedTags(workspaceFolder, tags);
+
+            return [
+                new vscode.CodeLens(
+                    new vscode.Range(0, 0, 0, 0),
+                    {
+                        title: `${getFileTagsIcon()}: \{ ${formatFileTags(tags, inherited)} \}`,
+                        tooltip: inherited.length
+                            ? `Inherited through the tag hierarchy: ${inherited.join(', ')}`
+                            : 'Add, remove or search tags',
+                        command: 'tagfs.fileTagMenu',
+                        arguments: [document.uri]
+                    }
+                )
+            ];
+        } catch {
+            return [];
+        }
+    }
+}
+
+/**
+ * Command link for a hover, e.g. [title](command:tagfs.searchbytag?...)
+ */
+function commandLink(title, command, args) {
+    return `[${title}](command:${command}?${encodeURIComponent(JSON.stringify(args))})`;
+}
+
+/**
+ * Escape characters that Markdown would otherwise interpret
+ */
+function escapeMarkdown(text) {
+    return String(text).replace(/[\\`*_{}[\]()#+\-.!|<>~]/g, '\\$&');
+}
+
+/**
+ * Known tag name at a position (with or without the marker), as { tag, range }
+ * where range covers the name only; null if the word there is not a tag
+ */
+async function getTagAtPosition(document, position, workspaceFolder) {
+    const marker = getTagMarker(document);
+    const wordRange = document.getWordRangeAtPosition(
+        position,
+        new RegExp(`(?:${escapeRegExp(marker)})?${TAG_NAME_PATTERN}`, 'u')
+    );
+    if (!wordRange) return null;
+    let word = document.getText(wordRange);
+    let range = wordRange;
+    if (word.startsWith(marker)) {
+        word = word.slice(marker.length);
+        range = new vscode.Range(wordRange.start.translate(0, marker.length), wordRange.end);
+    }
+    const tags = await fetchTags(workspaceFolder);
+    return tags.includes(word) ? { tag: word, range } : null;
+}
+
+/**
+ * Hover for any known tag name in a document: description, hierarchy,
+ * tagged files and actions for the tag
+ */
+class TagHoverProvider {
+    async provideHover(document, position) {
+        const workspaceFolder = getWorkspaceFolder();
+        if (!workspaceFolder) return undefined;
+
+        try {
+            const tagAtPosition = await getTagAtPosition(document, position, workspaceFolder);
+            if (!tagAtPosition) return undefined;
+            const { tag, range } = tagAtPosition;
+
+            const tagParents = await fetchTagParents(workspaceFolder);
+            const parents = (tagParents.get(tag) || []).filter(parent => tagParents.has(parent));
+            const children = getChildTags(tagParents, tag);
+            const resources = await fetchResources(workspaceFolder, tag);
+            const relativeFilePath = getRelativeFilePath(document.fileName, workspaceFolder);
+            const fileTags = await getFileTags(workspaceFolder, relativeFilePath);
+
+            const marker = getTagMarker(document);
+            const formatTags = list => list.map(name => escapeMarkdown(marker + name)).join(', ');
+            const markdown = new vscode.MarkdownString();
+            // Only the action links below may run commands; tag names, descriptions and paths are escaped
+            markdown.isTrusted = { enabledCommands: HOVER_COMMANDS };
+            markdown.appendMarkdown(`**${escapeMarkdown(marker + tag)}**\n\n`);
+
+            const descriptions = vscode.workspace.getConfiguration(CONFIG.NAMESPACE).get('tagDescriptions', {});
+            if (descriptions && typeof descriptions[tag] === 'string' && descriptions[tag].trim()) {
+                markdown.appendMarkdown(`${escapeMarkdown(descriptions[tag].trim())}\n\n`);
+            }
+            if (parents.length) markdown.appendMarkdown(`Parents: ${formatTags(parents)}\n\n`);
+            if (children.length) markdown.appendMarkdown(`Children: ${formatTags(children)}\n\n`);
+
+            markdown.appendMarkdown(`${resources.length} tagged file${resources.length === 1 ? '' : 's'}\n\n`);
+            for (const resource of resources.slice(0, HOVER_MAX_FILES)) {
+                const fileUri = vscode.Uri.file(resolveResourcePath(workspaceFolder, resource));
+                markdown.appendMarkdown(`- [${escapeMarkdown(vscode.workspace.asRelativePath(fileUri, false))}](${fileUri})\n`);
+            }
+            if (resources.length > HOVER_MAX_FILES) {
+                markdown.appendMarkdown(`- …and ${resources.length - HOVER_MAX_FILES} more\n`);
+            }
+
+            const actions = [];
+            const searchExpr = getTagSearchExpression(tag);
+            if (searchExpr) actions.push(commandLink('Search', 'tagfs.searchbytag', [searchExpr]));
+            if (fileTags.includes(tag)) actions.push(commandLink('Untag This File', 'tagfs.untagFile', [tag, document.fileName]));
+            actions.push(commandLink('Rename', 'tagfs.renametag', [{ tag }]));
+            actions.push(commandLink('Show in Tag Explorer', 'tagfs.revealTag', [tag]));
+            markdown.appendMarkdown(`\n---\n\n${actions.join(' · ')}`);
+
+            return new vscode.Hover(markdown, range);
+        } catch (e) {
+            return undefined;
+        }
+    }
+}
+
+// ============================================================================
+// FILE DECORATIONS (Explorer, tabs, SCM)
+// ============================================================================
+
+/**
+ * Badge, tooltip and color for tagged files; the color propagates to parent folders
+ */
+class TagFileDecorationProvider {
+    constructor() {
+        this._onDidChangeFileDecorations = new vscode.EventEmitter();
+        this.onDidChangeFileDecorations = this._onDidChangeFileDecorations.event;
+    }
+
+    refresh() {
+        this._onDidChangeFileDecorations.fire(undefined);
+    }
+
+    async provideFileDecoration(uri) {
+        if (uri.scheme !== 'file') return undefined;
+        const workspaceFolder = getWorkspaceFolder();
+        if (!workspaceFolder || !uri.fsPath.startsWith(workspaceFolder)) return undefined;
+
+        try {
+            const tags = await getFileTags(workspaceFolder, getRelativeFilePath(uri.fsPath, workspaceFolder));
+            if (tags.length === 0) return undefined;
+
+            const badgeStyle = vscode.workspace.getConfiguration(CONFIG.NAMESPACE).get('explorerBadge', 'count');
+            const badge = badgeStyle === 'initial'
+                ? tags[0].charAt(0).toUpperCase()
+                : (tags.length > 9 ? '9+' : String(tags.length));
+
+            const decoration = new vscode.FileDecoration(
+                badge,
+                `Tags: ${tags.map(tag => `${getTagMarker()}${tag}`).join(', ')}`,
+                getTagThemeColor(tags[0])
+            );
+            decoration.propagate = true;
+            return decoration;
+        } catch (e) {
+            return undefined;
+        }
+    }
+}
+
+// ============================================================================
+// CONTENT-DRIVEN TAGGING
+// ============================================================================
+
+// Characters allowed in a tag written as a marker in file content, e.g. #backend or #ui/forms
+const TAG_NAME_PATTERN = '[\\p{L}\\p{N}_-]+(?:[./][\\p{L}\\p{N}_-]+)*';
+
+const COMMENT_SYNTAX = {
+    c: { line: ['//'], block: [['/*', '*/']] },
+    hash: { line: ['#'], block: [] },
+    dash: { line: ['--'], block: [] },
+    markup: { line: [], block: [['<!--', '-->']] },
+};
+
+const LANGUAGE_COMMENT_SYNTAX = {
+    python: 'hash', shellscript: 'hash', ruby: 'hash', perl: 'hash', r: 'hash',
+    yaml: 'hash', toml: 'hash', makefile: 'hash', dockerfile: 'hash', powershell: 'hash',
+    sql: 'dash', lua: 'dash', haskell: 'dash',
+    html: 'markup', xml: 'markup', markdown: 'markup', vue: 'markup',
+};
+
+/**
+ * Content tagging settings for a document (all of them are language-overridable)
+ */
+function getContentTaggingConfig(document) {
+    const cfg = vscode.workspace.getConfiguration(`${CONFIG.NAMESPACE}.contentTagging`, document);
+    return {
+        enabled: cfg.get('enabled', false),
+        marker: cfg.get('marker', TAG_MARKER) || TAG_MARKER,
+        commentsOnly: cfg.get('commentsOnly', false),
+        applyWithoutPreview: cfg.get('applyWithoutPreview', false),
+    };
+}
+
+/**
+ * [start, end) offsets of comments in a text, using a simple per-language
+ * comment syntax (string literals are not taken into account)
+ */
+function getCommentRanges(text, languageId) {
+    const syntax = COMMENT_SYNTAX[LANGUAGE_COMMENT_SYNTAX[languageId] || 'c'];
+    const ranges = [];
+    let i = 0;
+    while (i < text.length) {
+        let next = null;
+        for (const token of syntax.line) {
+            const at = text.indexOf(token, i);
+            if (at !== -1 && (!next || at < next.at)) next = { at, end: '\n', skip: token.length };
+        }
+        for (const [open, close] of syntax.block) {
+            const at = text.indexOf(open, i);
+            if (at !== -1 && (!next || at < next.at)) next = { at, end: close, skip: open.length };
+        }
+        if (!next) break;
+
+        const endAt = text.indexOf(next.end, next.at + next.skip);
+        const end = endAt === -1 ? text.length : endAt + (next.end === '\n' ? 0 : next.end.length);
+        ranges.push([next.at, end]);
+        i = end;
+    }
+    return ranges;
+}
+
+/**
+ * Find tag markers (e.g. `#backend`) in a text. Returns [{ tag, start, end }]
+ * where start/end cover the marker and the tag name.
+ */
+function findTagMarkers(text, marker, commentRanges = null) {
+    const re = new RegExp(
+        `(?<![\\p{L}\\p{N}_${escapeRegExp(marker.charAt(0))}])${escapeRegExp(marker)}(${TAG_NAME_PATTERN})`,
+        'gu'
+    );
+    const markers = [];
+    let match;
+    while ((match = re.exec(text)) !== null) {
+        const start = match.index;
+        if (commentRanges && !commentRanges.some(([from, to]) => start >= from && start < to)) continue;
+        markers.push({ tag: match[1], start, end: start + match[0].length });
+    }
+    return markers;
+}
+
+/**
+ * Tag names referenced by markers in a document, honoring its content tagging settings
+ */
+function scanDocumentTagMarkers(document, config) {
+    const text = document.getText();
+    const commentRanges = config.commentsOnly ? getCommentRanges(text, document.languageId) : null;
+    return [...new Set(findTagMarkers(text, config.marker, commentRanges).map(m => m.tag))];
+}
+
+/**
+ * Diff markers against file tags. Only tags that were previously backed by a
+ * marker are removed, so tags applied from other UI are left alone.
+ */
+function diffMarkerTags(markerTags, fileTags, previousMarkerTags) {
+    return {
+        add: markerTags.filter(tag => !fileTags.includes(tag)),
+        remove: previousMarkerTags.filter(tag => !markerTags.includes(tag) && fileTags.includes(tag)),
+    };
+}
+
+function getPreviousMarkerTags(relativeFilePath) {
+    const state = extensionContext ? extensionContext.workspaceState.get(MARKER_TAGS_KEY, {}) : {};
+    return state[relativeFilePath] || [];
+}
+
+async function setPreviousMarkerTags(entries) {
+    if (!extensionContext) return;
+    const state = { ...extensionContext.workspaceState.get(MARKER_TAGS_KEY, {}) };
+    for (const [relativeFilePath, tags] of entries) {
+        if (tags.length) state[relativeFilePath] = tags;
+        else delete state[relativeFilePath];
+    }
+    await extensionContext.workspaceState.update(MARKER_TAGS_KEY, state);
+}
+
+/**
+ * Show pending file tag changes (from markers or auto-tag rules) as a
+ * multi-select preview, unless disabled.
+ * Resolves to the accepted changes ([{ file, tag, add, isNew }]).
+ */
+async function previewTagChanges(changes, applyWithoutPreview, title = 'HTFS: Apply tag changes from markers?') {
+    if (changes.length === 0 || applyWithoutPreview) return changes;
+
+    const items = changes.map(change => ({
+        label: `${change.add ? '$(add)' : '$(remove)'} ${change.tag}`,
+        description: `${change.add ? 'add to' : 'remove from'} ${change.file}${change.isNew ? ' (new tag)' : ''}`,
+        picked: true,
+        change
+    }));
+    const picked = await vscode.window.showQuickPick(items, {
+        canPickMany: true,
+        title,
+        placeHolder: 'Uncheck changes you do not want to apply'
+    });
+    return picked ? picked.map(item => item.change) : [];
+}
+
+/**
+ * Apply file tag changes through tagFileWithTag/untagFileWithTag, creating missing tags
+ */
+async function applyTagChanges(workspaceFolder, changes) {
+    return withJournalGroup(`Apply ${changes.length} tag change(s)`, group => applyTagChangesInGroup(workspaceFolder, changes, group));
+}
+
+async function applyTagChangesInGroup(workspaceFolder, changes, group) {
+    let failed = 0;
+    for (const change of changes) {
+        if (change.add) {
+            const tags = await fetchTags(workspaceFolder);
+            if (!tags.includes(change.tag)) {
+                try {
+                    await getTagBackend({ group }).addTags(workspaceFolder, [change.tag]);
+                    indexAddTag(change.tag);
+                } catch (error) {
+                    failed++;
+                    continue;
+                }
+            }
+        }
+        const ok = change.add
+            ? await tagFileWithTag(workspaceFolder, change.file, change.tag, { silent: true, group })
+            : await untagFileWithTag(workspaceFolder, change.file, change.tag, { silent: true, group });
+        if (!ok) failed++;
+    }
+    if (changes.length) await _refreshAfterTagChange(workspaceFolder, null);
+    return failed;
+}
+
+/**
+ * Compute the marker changes for one document
+ */
+async function getMarkerChangesForDocument(workspaceFolder, document, config) {
+    const relativeFilePath = getRelativeFilePath(document.fileName, workspaceFolder);
+    const markerTags = scanDocumentTagMarkers(document, config);
+    const fileTags = await getFileTags(workspaceFolder, relativeFilePath);
+    const allTags = await fetchTags(workspaceFolder);
+    const { add, remove } = diffMarkerTags(markerTags, fileTags, getPreviousMarkerTags(relativeFilePath));
+    return {
+        relativeFilePath,
+        markerTags,
+        changes: [
+            ...add.map(tag => ({ file: relativeFilePath, tag, add: true, isNew: !allTags.includes(tag) })),
+            ...remove.map(tag => ({ file: relativeFilePath, tag, add: false })),
+        ]
+    };
+}
+
+/**
+ * Reconcile a saved document's markers with its tags (opt-in)
+ */
+async function syncMarkersOnSave(document) {
+    if (document.uri.scheme !== 'file') return;
+    const config = getContentTaggingConfig(document);
+    if (!config.enabled) return;
+    const workspaceFolder = getWorkspaceFolder();
+    if (!workspaceFolder || !document.fileName.startsWith(workspaceFolder)) return;
+
+    try {
+        const { relativeFilePath, markerTags, changes } = await getMarkerChangesForDocument(workspaceFolder, document, config);
+        const accepted = await previewTagChanges(changes, config.applyWithoutPreview);
+        const failed = await applyTagChanges(workspaceFolder, accepted);
+        if (failed) showError(`${failed} tag change(s) from markers failed.`);
+
+        // Remember what the markers said, keeping tags whose removal was declined
+        const declined = changes.filter(c => !c.add && !accepted.includes(c)).map(c => c.tag);
+        await setPreviousMarkerTags([[relativeFilePath, [...markerTags, ...declined]]]);
+    } catch (error) {
+        showError(error);
+    }
+}
+
+/**
+ * Workspace files to scan for markers or rules: `files.exclude` applies and at
+ * most MARKER_SCAN_MAX_FILES are returned, with a note when there are more
+ */
+async function findScannableFiles(workspaceFolder, purpose) {
+    const uris = await vscode.workspace.findFiles('**/*', undefined, MARKER_SCAN_MAX_FILES);
+    if (uris.length >= MARKER_SCAN_MAX_FILES) {
+        showInfo(`HTFS: only the first ${MARKER_SCAN_MAX_FILES} files are ${purpose}.`);
+    }
+    return uris.filter(uri => uri.fsPath.startsWith(workspaceFolder + path.sep));
+}
+
+/**
+ * Reconcile markers with tags across every workspace file
+ */
+async function tagfsSyncAllMarkers() {
+    const workspaceFolder = await getWorkspaceOrShowError();
+    if (!workspaceFolder) return;
+
+    try {
+        const results = await vscode.window.withProgress(
+            { location: vscode.ProgressLocation.Notification, title: 'HTFS: Scanning tag markers', cancellable: true },
+            async (progress, token) => {
+                const uris = await findScannableFiles(workspaceFolder, 'scanned for markers');
+                const tracked = new Set(Object.keys(extensionContext.workspaceState.get(MARKER_TAGS_KEY, {})));
+                const scanned = [];
+                for (const uri of uris) {
+                    if (token.isCancellationRequested) return null;
+                    const relativeFilePath = getRelativeFilePath(uri.fsPath, workspaceFolder);
+                    // Check the raw text first so only files with markers are opened as documents
+                    if (!tracked.has(relativeFilePath)) {
+                        const text = await readWorkspaceFileText(uri);
+                        if (text === null || !text.includes(getContentTaggingConfig(uri).marker)) continue;
+                    }
+                    let document;
+                    try {
+                        document = await vscode.workspace.openTextDocument(uri);
+                    } catch (e) {
+                        continue; // binary or unreadable file
+                    }
+                    const config = getContentTaggingConfig(document);
+                    if (!tracked.has(relativeFilePath) && !document.getText().includes(config.marker)) continue;
+                    if (!config.enabled) continue;
+                    progress.report({ message: relativeFilePath });
+                    scanned.push(await getMarkerChangesForDocument(workspaceFolder, document, config));
+                }
+                return scanned;
+            }
         );
-        if (!oldTag) return;
+        if (!results) return;
+
+        const changes = results.flatMap(result => result.changes);
+        if (changes.length === 0) {
+            showInfo(results.length
+                ? `Tags already match markers in ${results.length} file(s).`
+                : 'No files with content tagging enabled. Set "tagfs.contentTagging.enabled" first.');
+            await setPreviousMarkerTags(results.map(r => [r.relativeFilePath, r.markerTags]));
+            return;
+        }
+
+        const applyWithoutPreview = vscode.workspace.getConfiguration(`${CONFIG.NAMESPACE}.contentTagging`).get('applyWithoutPreview', false);
+        const accepted = await previewTagChanges(changes, applyWithoutPreview);
+        const failed = await applyTagChanges(workspaceFolder, accepted);
+
+        await setPreviousMarkerTags(results.map(result => {
+            const declined = result.changes.filter(c => !c.add && !accepted.includes(c)).map(c => c.tag);
+            return [result.relativeFilePath, [...result.markerTags, ...declined]];
+        }));
+        if (failed) showError(`${failed} of ${accepted.length} tag change(s) failed.`);
+        else showInfo(`Applied ${accepted.length} tag change(s) from markers.`);
+    } catch (error) {
+        showError(error);
+    }
+}
+
+// ============================================================================
+// TAG REFERENCE DIAGNOSTICS
+// ============================================================================
+
+const DIAGNOSTIC_UNKNOWN_TAG = 'htfs.unknownTag';
+const DIAGNOSTIC_UNAPPLIED_TAG = 'htfs.unappliedTag';
+
+/**
+ * Levenshtein distance between two strings
+ */
+function editDistance(a, b) {
+    let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            current[j] = Math.min(
+                previous[j] + 1,
+                current[j - 1] + 1,
+                previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+            );
+        }
+        previous = current;
+    }
+    return previous[b.length];
+}
+
+/**
+ * Existing tags closest to a misspelled name, best first
+ */
+function findClosestTags(name, tags, limit = 3) {
+    const maxDistance = Math.max(2, Math.floor(name.length / 3));
+    return tags
+        .map(tag => ({ tag, distance: editDistance(name.toLowerCase(), tag.toLowerCase()) }))
+        .filter(candidate => candidate.distance <= maxDistance)
+        .sort((x, y) => x.distance - y.distance || x.tag.localeCompare(y.tag))
+        .slice(0, limit)
+        .map(candidate => candidate.tag);
+}
+
+/**
+ * Flag marker references to unknown tags and to tags the file does not carry,
+ * directly or through a child tag
+ */
+async function updateTagDiagnostics(document, collection) {
+    if (document.uri.scheme !== 'file') return;
+    const workspaceFolder = getWorkspaceFolder();
+    const enabled = vscode.workspace.getConfiguration(`${CONFIG.NAMESPACE}.diagnostics`, document).get('enabled', false);
+    if (!workspaceFolder || !enabled || !document.fileName.startsWith(workspaceFolder)) {
+        collection.delete(document.uri);
+        return;
+    }
+
+    try {
+        const config = getContentTaggingConfig(document);
+        const text = document.getText();
+        const commentRanges = config.commentsOnly ? getCommentRanges(text, document.languageId) : null;
+        const markers = findTagMarkers(text, config.marker, commentRanges);
+        if (markers.length === 0) {
+            collection.delete(document.uri);
+            return;
+        }
+
+        const tags = await fetchTags(workspaceFolder);
+        const fileTags = await getFileTags(workspaceFolder, getRelativeFilePath(document.fileName, workspaceFolder));
+        const appliedTags = new Set([...fileTags, ...(await fetchInheritedTags(workspaceFolder, fileTags))]);
+        const diagnostics = [];
+        for (const marker of markers) {
+            if (appliedTags.has(marker.tag)) continue;
+            const range = new vscode.Range(document.positionAt(marker.start), document.positionAt(marker.end));
+            const known = tags.includes(marker.tag);
+            const diagnostic = new vscode.Diagnostic(
+                range,
+                known
+                    ? `Tag '${marker.tag}' is not applied to this file.`
+                    : `Unknown tag '${marker.tag}'.`,
+                known ? vscode.DiagnosticSeverity.Information : vscode.DiagnosticSeverity.Warning
+            );
+            diagnostic.source = 'HTFS';
+            diagnostic.code = known ? DIAGNOSTIC_UNAPPLIED_TAG : DIAGNOSTIC_UNKNOWN_TAG;
+            diagnostics.push(diagnostic);
+        }
+        collection.set(document.uri, diagnostics);
+    } catch (e) {
+        collection.delete(document.uri);
+    }
+}
+
+/**
+ * Quick fixes for HTFS tag reference diagnostics
+ */
+class TagReferenceCodeActionProvider {
+    async provideCodeActions(document, range, context) {
+        const actions = [];
+        const workspaceFolder = getWorkspaceFolder();
+        if (!workspaceFolder) return actions;
+
+        for (const diagnostic of context.diagnostics) {
+            if (diagnostic.source !== 'HTFS') continue;
+            const markerText = document.getText(diagnostic.range);
+            const marker = getContentTaggingConfig(document).marker;
+            const tag = markerText.slice(marker.length);
+
+            if (diagnostic.code === DIAGNOSTIC_UNKNOWN_TAG) {
+                const tags = await fetchTags(workspaceFolder);
+                for (const closest of findClosestTags(tag, tags)) {
+                    const action = new vscode.CodeAction(`Replace with '${closest}'`, vscode.CodeActionKind.QuickFix);
+                    action.edit = new vscode.WorkspaceEdit();
+                    action.edit.replace(document.uri, diagnostic.range, `${marker}${closest}`);
+                    action.diagnostics = [diagnostic];
+                    action.isPreferred = actions.length === 0;
+                    actions.push(action);
+                }
+                actions.push(this._command(`Create tag '${tag}'`, diagnostic, [tag, document.uri, {}]));
+                actions.push(this._command(`Create tag '${tag}' and apply it to this file`, diagnostic, [tag, document.uri, { apply: true }]));
+                actions.push(this._command(`Create tag '${tag}' under a parent tag…`, diagnostic, [tag, document.uri, { apply: true, link: true }]));
+            } else if (diagnostic.code === DIAGNOSTIC_UNAPPLIED_TAG) {
+                const apply = this._command(`Apply tag '${tag}' to this file`, diagnostic, [tag, document.uri, { apply: true }]);
+                apply.isPreferred = true;
+                actions.push(apply);
+                actions.push(this._command(`Link tag '${tag}' under a parent tag…`, diagnostic, [tag, document.uri, { link: true }]));
+            }
+        }
+        return actions;
+    }
+
+    _command(title, diagnostic, args) {
+        const action = new vscode.CodeAction(title, vscode.CodeActionKind.QuickFix);
+        action.command = { command: 'tagfs.fixTagReference', title, arguments: args };
+        action.diagnostics = [diagnostic];
+        return action;
+    }
+}
+
+/**
+ * Quick fix command: create the tag if needed, then optionally link it under a
+ * chosen parent and apply it to the file
+ */
+async function tagfsFixTagReference(tag, uri, options = {}) {
+    const workspaceFolder = await getWorkspaceOrShowError();
+    if (!workspaceFolder || !tag) return;
+
+    try {
+        const tags = await fetchTags(workspaceFolder);
+        let parentTag = null;
+        if (options.link) {
+            parentTag = await vscode.window.showQuickPick(
+                tags.filter(t => t !== tag),
+                { placeHolder: `Select parent tag for '${tag}'` }
+            );
+            if (!parentTag) return;
+        }
+
+        if (!tags.includes(tag)) {
+            await getTagBackend().addTags(workspaceFolder, [tag]);
+            indexAddTag(tag);
+            showInfo(`Created new tag: ${tag}`);
+        }
+        if (parentTag) {
+            await getTagBackend().linkTags(workspaceFolder, tag, parentTag);
+            invalidateTagParents();
+            showInfo(`Linked tag '${tag}' to parent tag '${parentTag}'`);
+        }
+        if (options.apply && uri) {
+            await tagFileWithTag(workspaceFolder, getRelativeFilePath(uri.fsPath, workspaceFolder), tag);
+        } else {
+            notifyTagDataChanged();
+        }
+    } catch (error) {
+        showError(error);
+    }
+}
+
+// ============================================================================
+// TAG RENAME (F2)
+// ============================================================================
+
+/**
+ * Current text of a workspace file: the open document if there is one,
+ * otherwise the file on disk. Null for binary, unreadable or very large
+ * (over TEXT_FILE_MAX_BYTES) files.
+ */
+async function readWorkspaceFileText(uri) {
+    const openDocument = vscode.workspace.textDocuments.find(doc => doc.uri.toString() === uri.toString());
+    if (openDocument) return openDocument.getText();
+    try {
+        if ((await vscode.workspace.fs.stat(uri)).size > TEXT_FILE_MAX_BYTES) return null;
+        const text = new TextDecoder('utf-8').decode(await vscode.workspace.fs.readFile(uri));
+        return text.includes('\0') ? null : text;
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * Ranges of the tag name in every marker of a tag in a file, honoring the
+ * file's marker and comments-only settings
+ */
+async function findTagMarkerRanges(uri, tag) {
+    // Only files that contain the marker itself are opened as documents
+    const text = await readWorkspaceFileText(uri);
+    if (!text || !text.includes(`${getContentTaggingConfig(uri).marker}${tag}`)) return [];
+
+    const document = await vscode.workspace.openTextDocument(uri);
+    const config = getContentTaggingConfig(document);
+    const commentRanges = config.commentsOnly ? getCommentRanges(text, document.languageId) : null;
+    return findTagMarkers(text, config.marker, commentRanges)
+        .filter(marker => marker.tag === tag)
+        .map(marker => new vscode.Range(
+            document.positionAt(marker.start + config.marker.length),
+            document.positionAt(marker.end)
+        ));
+}
+
+/**
+ * WorkspaceEdit replacing every marker of a tag in the workspace with the new
+ * name. With needsConfirmation the edit opens in the refactor preview when applied.
+ */
+async function buildTagMarkerRenameEdit(workspaceFolder, oldTag, newTag, needsConfirmation) {
+    const edit = new vscode.WorkspaceEdit();
+    const metadata = { label: `Rename ${getTagMarker()}${oldTag} to ${getTagMarker()}${newTag}`, needsConfirmation };
+    for (const uri of await findScannableFiles(workspaceFolder, 'searched for tag markers to rename')) {
+        for (const range of await findTagMarkerRanges(uri, oldTag)) {
+            edit.replace(uri, range, newTag, metadata);
+        }
+    }
+    return edit;
+}
+
+/**
+ * F2 on a tag marker returns the edit that updates every marker of the tag
+ * across the workspace. Rename edits cannot carry a callback and may be
+ * discarded in the preview, so tagfs is renamed only when the edit shows up
+ * in the document F2 was invoked in.
+ */
+class TagRenameProvider {
+    constructor() {
+        this.pending = null;
+    }
+
+    _findMarker(document, position) {
+        const config = getContentTaggingConfig(document);
+        const text = document.getText();
+        const commentRanges = config.commentsOnly ? getCommentRanges(text, document.languageId) : null;
+        const offset = document.offsetAt(position);
+        const marker = findTagMarkers(text, config.marker, commentRanges)
+            .find(m => offset >= m.start && offset <= m.end);
+        if (!marker) return null;
+        return {
+            tag: marker.tag,
+            range: new vscode.Range(document.positionAt(marker.start + config.marker.length), document.positionAt(marker.end))
+        };
+    }
+
+    async prepareRename(document, position) {
+        const workspaceFolder = getWorkspaceFolder();
+        const marker = workspaceFolder && this._findMarker(document, position);
+        if (!marker) throw new Error('Place the cursor on a tag marker to rename the tag.');
+        const tags = await fetchTags(workspaceFolder);
+        if (!tags.includes(marker.tag)) throw new Error(`Unknown tag '${marker.tag}'.`);
+        return { range: marker.range, placeholder: marker.tag };
+    }
+
+    async provideRenameEdits(document, position, newName) {
+        const workspaceFolder = getWorkspaceFolder();
+        const marker = workspaceFolder && this._findMarker(document, position);
+        if (!marker) return undefined;
+
+        const prefix = getTagMarker(document);
+        const newTag = newName.startsWith(prefix) ? newName.slice(prefix.length) : newName;
+        if (newTag === marker.tag) return new vscode.WorkspaceEdit();
+        const problem = validateTagRename(await fetchTags(workspaceFolder), marker.tag, newTag)
+            || (new RegExp(`^${TAG_NAME_PATTERN}$`, 'u').test(newTag) ? null : `'${newTag}' cannot be written as a tag marker.`);
+        if (problem) throw new Error(problem);
+
+        const edit = await buildTagMarkerRenameEdit(workspaceFolder, marker.tag, newTag, false);
+        this.pending = { workspaceFolder, uri: document.uri.toString(), oldTag: marker.tag, newTag };
+        return edit;
+    }
+
+    /**
+     * Rename the tag in tagfs once the pending edit was applied to its document
+     */
+    async handleDocumentChange(document) {
+        const pending = this.pending;
+        if (!pending || document.uri.toString() !== pending.uri) return;
+
+        const config = getContentTaggingConfig(document);
+        const text = document.getText();
+        const commentRanges = config.commentsOnly ? getCommentRanges(text, document.languageId) : null;
+        const tags = findTagMarkers(text, config.marker, commentRanges).map(m => m.tag);
+        if (!tags.includes(pending.newTag) || tags.includes(pending.oldTag)) return;
+
+        this.pending = null;
+        try {
+            await renameTagAfterMarkerEdit(pending.workspaceFolder, pending.oldTag, pending.newTag);
+        } catch (error) {
+            showError(error);
+        }
+    }
+}
+
+// ============================================================================
+// TAG REFERENCES & SYMBOLS
+// ============================================================================
+
+/**
+ * Shift+F12 on a tag lists every file tagged with it, at each marker of the
+ * tag in the file or at the top of the file when there is none
+ */
+class TagReferenceProvider {
+    async provideReferences(document, position, context, token) {
+        const workspaceFolder = getWorkspaceFolder();
+        if (!workspaceFolder) return [];
+
+        try {
+            const tagAtPosition = await getTagAtPosition(document, position, workspaceFolder);
+            if (!tagAtPosition) return [];
+
+            const locations = [];
+            for (const resource of await fetchResources(workspaceFolder, tagAtPosition.tag)) {
+                if (token.isCancellationRequested) break;
+                const uri = vscode.Uri.file(resolveResourcePath(workspaceFolder, resource));
+                const ranges = await findTagMarkerRanges(uri, tagAtPosition.tag);
+                if (ranges.length === 0) ranges.push(new vscode.Range(0, 0, 0, 0));
+                ranges.forEach(range => locations.push(new vscode.Location(uri, range)));
+            }
+            return locations;
+        } catch (e) {
+            return [];
+        }
+    }
+}
+
+/**
+ * Whether every character of a query appears in a name, in order (case-insensitive)
+ */
+function fuzzyMatches(query, name) {
+    const target = name.toLowerCase();
+    let from = 0;
+    for (const char of query.toLowerCase()) {
+        from = target.indexOf(char, from);
+        if (from === -1) return false;
+        from++;
+    }
+    return true;
+}
+
+/**
+ * Ctrl+T `#tag` lists the tagged files of matching tags, one symbol per file
+ */
+class TagWorkspaceSymbolProvider {
+    async provideWorkspaceSymbols(query, token) {
+        const workspaceFolder = getWorkspaceFolder();
+        if (!workspaceFolder) return [];
+
+        // Only marker queries (e.g. `#back`), so plain symbol searches are not flooded with files
+        const marker = getTagMarker();
+        if (!query.startsWith(marker)) return [];
+        const tagQuery = query.slice(marker.length);
+        try {
+            const symbols = [];
+            for (const tag of (await fetchTags(workspaceFolder)).filter(tag => fuzzyMatches(tagQuery, tag))) {
+                if (token.isCancellationRequested || symbols.length >= SYMBOL_MAX_RESULTS) break;
+                for (const resource of await fetchResources(workspaceFolder, tag)) {
+                    const uri = vscode.Uri.file(resolveResourcePath(workspaceFolder, resource));
+                    symbols.push(new vscode.SymbolInformation(
+                        `${marker}${tag}`,
+                        vscode.SymbolKind.Key,
+                        vscode.workspace.asRelativePath(uri, false),
+                        new vscode.Location(uri, new vscode.Position(0, 0))
+                    ));
+                }
+            }
+            return symbols.slice(0, SYMBOL_MAX_RESULTS);
+        } catch (e) {
+            return [];
+        }
+    }
+}
+
+// ============================================================================
+// TAG EXPORT & IMPORT
+// ============================================================================
+
+/**
+ * Snapshot of the tag database with portable, workspace-relative paths:
+ * { version, tags: [...], links: { child: [parents] }, resources: { 'src/a.js': [tags] } }
+ */
+async function buildTagSnapshot(workspaceFolder) {
+    const tags = [...await fetchTags(workspaceFolder)].sort();
+    const tagParents = await fetchTagParents(workspaceFolder);
+    const links = {};
+    for (const tag of tags) {
+        const parents = [...(tagParents.get(tag) || [])].sort();
+        if (parents.length) links[tag] = parents;
+    }
+    const resources = {};
+    for (const resource of [...cachedFileTags.keys()].sort()) {
+        resources[resource.replace(/^\.\//, '')] = [...cachedFileTags.get(resource)].sort();
+    }
+    return { version: TAG_EXPORT_VERSION, tags, links, resources };
+}
+
+/**
+ * Quote a CSV field when it contains a separator, quote or line break
+ */
+function toCsvField(value) {
+    return /[",\r\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+}
+
+/**
+ * Parse CSV text into rows of fields (RFC 4180 quoting)
+ */
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    if (field || row.length) {
+        row.push(field);
+        rows.push(row);
+    }
+    return rows.filter(fields => fields.some(Boolean));
+}
+
+/**
+ * Serialize a snapshot as JSON, or as CSV rows of `kind,subject,value`
+ * (`tag,<tag>,`, `link,<child>,<parent>` and `resource,<path>,<tag>`)
+ */
+function serializeTagSnapshot(snapshot, format) {
+    if (format === 'json') return `${JSON.stringify(snapshot, null, 2)}\n`;
+    const rows = [
+        TAG_EXPORT_CSV_HEADER,
+        ...snapshot.tags.map(tag => ['tag', tag, '']),
+        ...Object.entries(snapshot.links).flatMap(([child, parents]) => parents.map(parent => ['link', child, parent])),
+        ...Object.entries(snapshot.resources).flatMap(([file, tags]) => tags.map(tag => ['resource', file, tag])),
+    ];
+    return rows.map(row => row.map(toCsvField).join(',')).join('\n') + '\n';
+}
+
+/**
+ * Parse an exported JSON or CSV file back into a snapshot; throws on malformed input
+ */
+function parseTagSnapshot(text, format) {
+    const snapshot = { version: TAG_EXPORT_VERSION, tags: [], links: {}, resources: {} };
+    const add = (map, key, value) => {
+        if (!map[key]) map[key] = [];
+        if (!map[key].includes(value)) map[key].push(value);
+    };
+
+    if (format === 'json') {
+        const data = JSON.parse(text);
+        if (!data || typeof data !== 'object' || !Array.isArray(data.tags)) {
+            throw new Error('Not an HTFS tag export: missing "tags" array.');
+        }
+        if (data.version > TAG_EXPORT_VERSION) {
+            throw new Error(`Unsupported tag export version ${data.version}.`);
+        }
+        const isStringList = value => Array.isArray(value) && value.every(item => typeof item === 'string');
+        snapshot.tags = data.tags.filter(tag => typeof tag === 'string' && tag);
+        for (const [child, parents] of Object.entries(data.links || {})) {
+            if (isStringList(parents)) parents.forEach(parent => add(snapshot.links, child, parent));
+        }
+        for (const [file, tags] of Object.entries(data.resources || {})) {
+            if (isStringList(tags)) tags.forEach(tag => add(snapshot.resources, file, tag));
+        }
+        return snapshot;
+    }
+
+    const rows = parseCsv(text);
+    if (rows.length && rows[0].join(',') === TAG_EXPORT_CSV_HEADER.join(',')) rows.shift();
+    rows.forEach((row, index) => {
+        const [kind, subject, value] = row;
+        if (kind === 'tag' && subject) {
+            if (!snapshot.tags.includes(subject)) snapshot.tags.push(subject);
+        } else if (kind === 'link' && subject && value) {
+            add(snapshot.links, subject, value);
+        } else if (kind === 'resource' && subject && value) {
+            add(snapshot.resources, subject, value);
+        } else {
+            throw new Error(`Invalid CSV row ${index + 1}: ${row.join(',')}`);
+        }
+    });
+    return snapshot;
+}
+
+/**
+ * Export format for a file name: `csv` for .csv files, otherwise `json`
+ */
+function getTagExportFormat(uri) {
+    return path.extname(uri.fsPath).toLowerCase() === '.csv' ? 'csv' : 'json';
+}
+
+/**
+ * Default export file (`tagfs.export.path`, relative to the workspace)
+ */
+function getTagExportUri(workspaceFolder) {
+    const exportPath = vscode.workspace.getConfiguration(`${CONFIG.NAMESPACE}.export`).get('path', '.htfs/tags.json');
+    return vscode.Uri.file(path.resolve(workspaceFolder, exportPath || '.htfs/tags.json'));
+}
 
-        // Enter new tag name
-        const newTag = await vscode.window.showInputBox({
-            prompt: 'Enter new tag name',
-            value: oldTag
-        });
-        if (!newTag || newTag === oldTag) return;
+/**
+ * Write the current tag database to an export file
+ */
+async function writeTagExport(workspaceFolder, uri) {
+    const snapshot = await buildTagSnapshot(workspaceFolder);
+    await vscode.workspace.fs.createDirectory(vscode.Uri.file(path.dirname(uri.fsPath)));
+    await vscode.workspace.fs.writeFile(uri, new TextEncoder().encode(serializeTagSnapshot(snapshot, getTagExportFormat(uri))));
+    return snapshot;
+}
 
-        // Check if new tag already exists
-        if (tags.includes(newTag)) {
-            showError(`Tag '${newTag}' already exists.`);
-            return;
-        }
+/**
+ * Changes needed to bring the database up to a snapshot. Imports only add:
+ * entries that exist in the database but not in the file are counted, not removed.
+ */
+async function diffTagSnapshot(workspaceFolder, snapshot) {
+    const tags = await fetchTags(workspaceFolder);
+    const tagParents = await fetchTagParents(workspaceFolder);
+    const changes = [];
+    const missingFiles = [];
+
+    const importedTags = new Set(snapshot.tags);
+    Object.entries(snapshot.links).forEach(([child, parents]) => [child, ...parents].forEach(tag => importedTags.add(tag)));
+    Object.values(snapshot.resources).forEach(fileTags => fileTags.forEach(tag => importedTags.add(tag)));
+    for (const tag of [...importedTags].sort()) {
+        if (!tags.includes(tag)) changes.push({ kind: 'tag', tag });
+    }
 
-        // Rename the tag
-        const stdout = await execPromise(`tagfs renametag ${oldTag} ${newTag}`, { cwd: workspaceFolder });
-        showInfo(`Renamed tag '${oldTag}' to '${newTag}'`);
+    for (const [child, parents] of Object.entries(snapshot.links)) {
+        for (const parent of parents) {
+            if (!(tagParents.get(child) || []).includes(parent)) changes.push({ kind: 'link', child, parent });
+        }
+    }
 
-        // Invalidate caches
-        cachedTags = null;
-        cachedFileTags.clear(); // Clear all file tag caches since renaming affects all files
-    } catch (error) {
-        showError(error);
+    for (const [file, fileTags] of Object.entries(snapshot.resources)) {
+        const filePath = path.resolve(workspaceFolder, file);
+        if (path.isAbsolute(file) || !filePath.startsWith(workspaceFolder + path.sep) || !fs.existsSync(filePath)) {
+            missingFiles.push(file);
+            continue;
+        }
+        const relativeFilePath = getRelativeFilePath(filePath, workspaceFolder);
+        const currentTags = await getFileTags(workspaceFolder, relativeFilePath);
+        for (const tag of fileTags) {
+            if (!currentTags.includes(tag)) changes.push({ kind: 'resource', file: relativeFilePath, tag });
+        }
     }
+
+    const exported = await buildTagSnapshot(workspaceFolder);
+    const isImported = (file, tag) => (snapshot.resources[file.replace(/^\.\//, '')] || []).includes(tag);
+    const onlyInDatabase = Object.entries(exported.resources)
+        .reduce((count, [file, fileTags]) => count + fileTags.filter(tag => !isImported(file, tag)).length, 0);
+    return { changes, missingFiles, onlyInDatabase };
 }
 
 /**
- * Search for files by tag expression
+ * Export tags, links and file tags to a JSON or CSV file
  */
-async function tagfsSearchByTag(optionalTagExpr) {
+async function tagfsExportTags() {
     const workspaceFolder = await getWorkspaceOrShowError();
     if (!workspaceFolder) return;
 
-    // If caller passes argument → use it; else → prompt the user
-    const tagExpr =
-        optionalTagExpr ||
-        await vscode.window.showInputBox({
-            prompt: 'Enter tag expression (e.g., "tag1 & ~tag2")'
-        });
-
-    if (!tagExpr) return;
+    const uri = await vscode.window.showSaveDialog({
+        defaultUri: getTagExportUri(workspaceFolder),
+        filters: { 'JSON': ['json'], 'CSV': ['csv'] },
+        title: 'HTFS: Export Tags'
+    });
+    if (!uri) return;
 
     try {
-        const stdout = await execPromise(`tagfs lsresources ${tagExpr}`, {
-            cwd: workspaceFolder
-        });
-
-        const files = parseOutputLines(stdout);
-        const selectedFile = await vscode.window.showQuickPick(files, {
-            placeHolder: 'Select a file'
-        });
-
-        if (selectedFile) {
-            const cleanFile = selectedFile.replace(/\r?\n|\r/g, '');
-            const doc = await vscode.workspace.openTextDocument(cleanFile);
-            await vscode.window.showTextDocument(doc);
-        }
+        const snapshot = await writeTagExport(workspaceFolder, uri);
+        showInfo(`Exported ${snapshot.tags.length} tags and ${Object.keys(snapshot.resources).length} tagged files to ${vscode.workspace.asRelativePath(uri, false)}`);
     } catch (error) {
         showError(error);
     }
 }
 
-
 /**
- * Link one tag to another tag as a parent
+ * Import a JSON or CSV export: preview the additions, then apply them
  */
-async function tagfsLinkTags() {
+async function tagfsImportTags() {
     const workspaceFolder = await getWorkspaceOrShowError();
     if (!workspaceFolder) return;
 
+    const uris = await vscode.window.showOpenDialog({
+        defaultUri: getTagExportUri(workspaceFolder),
+        filters: { 'Tag exports': ['json', 'csv'] },
+        canSelectMany: false,
+        title: 'HTFS: Import Tags'
+    });
+    if (!uris || uris.length === 0) return;
+    const uri = uris[0];
+
     try {
-        const tags = await fetchTags(workspaceFolder);
-        if (tags.length === 0) {
-            showInfo('No tags avakilable to link.');
+        const text = new TextDecoder('utf-8').decode(await vscode.workspace.fs.readFile(uri));
+        const snapshot = parseTagSnapshot(text, getTagExportFormat(uri));
+        const { changes, missingFiles, onlyInDatabase } = await diffTagSnapshot(workspaceFolder, snapshot);
+        if (missingFiles.length) {
+            showInfo(`Skipping ${missingFiles.length} file(s) not found in the workspace: ${missingFiles.slice(0, 5).join(', ')}${missingFiles.length > 5 ? ', …' : ''}`);
+        }
+        if (changes.length === 0) {
+            showInfo('The tag database already contains everything in this file.');
             return;
         }
 
-        // Select the child tag
-        const childTag = await vscode.window.showQuickPick(
-            tags,
-            { placeHolder: 'Select child tag' }
-        );
-        if (!childTag) return;
+        const marker = getTagMarker();
+        const items = changes.map(change => {
+            switch (change.kind) {
+                case 'tag':
+                    return { label: `$(tag) ${marker}${change.tag}`, description: 'new tag', picked: true, change };
+                case 'link':
+                    return { label: `$(type-hierarchy) ${marker}${change.child} → ${marker}${change.parent}`, description: 'new link', picked: true, change };
+                default:
+                    return { label: `$(file) ${change.file}`, description: `add ${marker}${change.tag}`, picked: true, change };
+            }
+        });
+        const picked = await vscode.window.showQuickPick(items, {
+            canPickMany: true,
+            title: `HTFS: Import ${changes.length} change(s) from ${path.basename(uri.fsPath)}?`,
+            placeHolder: onlyInDatabase
+                ? `${onlyInDatabase} file tag(s) not in the file are kept. Uncheck changes you do not want to apply`
+                : 'Uncheck changes you do not want to apply'
+        });
+        if (!picked || picked.length === 0) return;
 
-        // Select the parent tag
-        const parentTag = await vscode.window.showQuickPick(
-            tags.filter(tag => tag !== childTag),
-            { placeHolder: 'Select parent tag' }
+        const failed = await vscode.window.withProgress(
+            { location: vscode.ProgressLocation.Notification, title: 'HTFS: Importing tags' },
+            () => applyTagImport(workspaceFolder, picked.map(item => item.change))
         );
-        if (!parentTag) return;
-
-        // Link the tags
-        const stdout = await execPromise(`tagfs linktags ${childTag} ${parentTag}`, { cwd: workspaceFolder });
-        showInfo(`Linked tag '${childTag}' to parent tag '${parentTag}'`);
+        if (failed) showError(`${failed} of ${picked.length} import change(s) failed.`);
+        else showInfo(`Imported ${picked.length} change(s).`);
     } catch (error) {
         showError(error);
     }
 }
 
+/**
+ * Apply import changes in dependency order (tags, then links, then file tags);
+ * resolves to the number of changes that failed
+ */
+async function applyTagImport(workspaceFolder, changes) {
+    return withJournalGroup(`Import ${changes.length} tag change(s)`, group => applyTagImportInGroup(workspaceFolder, changes, group));
+}
+
+async function applyTagImportInGroup(workspaceFolder, changes, group) {
+    const backend = getTagBackend({ group });
+    let failed = 0;
+    for (const change of changes.filter(c => c.kind === 'tag')) {
+        try {
+            await backend.addTags(workspaceFolder, [change.tag]);
+            indexAddTag(change.tag);
+        } catch (error) {
+            failed++;
+        }
+    }
+    for (const change of changes.filter(c => c.kind === 'link')) {
+        try {
+            await backend.linkTags(workspaceFolder, change.child, change.parent);
+        } catch (error) {
+            failed++;
+        }
+    }
+    invalidateTagParents();
+    for (const change of changes.filter(c => c.kind === 'resource')) {
+        if (!await tagFileWithTag(workspaceFolder, change.file, change.tag, { silent: true, group })) failed++;
+    }
+    await _refreshAfterTagChange(workspaceFolder, null);
+    return failed;
+}
+
 // ============================================================================
-// FILE/EDITOR COMMANDS
+// AUTO-TAG RULES
 // ============================================================================
 
 /**
- * Show tags for the current file in a quick pick
+ * Regular expression source for a glob: `**` spans folders, `*` and `?` stay
+ * within one path segment, `{a,b}` alternates and `[...]` is a character class
  */
-async function tagfsGetTagsForFile() {
-    const workspaceFolder = await getWorkspaceOrShowError();
-    if (!workspaceFolder) return;
-    const editor = await getActiveEditorOrShowError();
-    if (!editor) return;
+function globToRegExpSource(glob) {
+    let source = '';
+    for (let i = 0; i < glob.length; i++) {
+        const char = glob[i];
+        if (char === '*' && glob[i + 1] === '*') {
+            i++;
+            if (glob[i + 1] === '/') {
+                i++;
+                source += '(?:.*/)?';
+            } else {
+                source += '.*';
+            }
+        } else if (char === '*') {
+            source += '[^/]*';
+        } else if (char === '?') {
+            source += '[^/]';
+        } else if (char === '{' && glob.indexOf('}', i) !== -1) {
+            const end = glob.indexOf('}', i);
+            source += `(?:${glob.slice(i + 1, end).split(',').map(globToRegExpSource).join('|')})`;
+            i = end;
+        } else if (char === '[' && glob.indexOf(']', i) > i + 1) {
+            const end = glob.indexOf(']', i);
+            source += `[${glob.slice(i + 1, end).replace(/^!/, '^').replace(/\\/g, '\\\\')}]`;
+            i = end;
+        } else {
+            source += escapeRegExp(char);
+        }
+    }
+    return source;
+}
 
-    const filePath = editor.document.fileName;
-    const relativeFilePath = getRelativeFilePath(filePath, workspaceFolder);
+/**
+ * Whether a workspace-relative path (without `./`) matches a glob
+ */
+function matchesGlob(relativePath, glob) {
+    return new RegExp(`^${globToRegExpSource(glob)}$`).test(relativePath);
+}
 
-    try {
-        const tags = await getFileTags(workspaceFolder, relativeFilePath);
-        await vscode.window.showQuickPick(tags, { placeHolder: 'File tags' });
-    } catch (error) {
-        showError(error);
-    }
+/**
+ * Valid rules from `tagfs.autoTagRules`: [{ pattern?, languages?, tags }]
+ */
+function getAutoTagRules() {
+    const rules = vscode.workspace.getConfiguration(CONFIG.NAMESPACE).get('autoTagRules', []);
+    if (!Array.isArray(rules)) return [];
+    return rules.filter(rule => rule
+        && Array.isArray(rule.tags) && rule.tags.length > 0
+        && (typeof rule.pattern === 'string' || Array.isArray(rule.languages)));
 }
 
 /**
- * Add or remove tags from the current file
+ * Tags the rules assign to a file. A rule's pattern and languages must both
+ * match when both are given; languageId is only needed for language rules.
  */
-async function tagfsEditFileTags() {
-    const workspaceFolder = await getWorkspaceOrShowError();
-    if (!workspaceFolder) return;
-    const editor = await getActiveEditorOrShowError();
-    if (!editor) return;
+function getAutoTagsForFile(rules, relativeFilePath, languageId) {
+    const relativePath = relativeFilePath.replace(/^\.\//, '');
+    const tags = new Set();
+    for (const rule of rules) {
+        if (typeof rule.pattern === 'string' && !matchesGlob(relativePath, rule.pattern)) continue;
+        if (Array.isArray(rule.languages) && !rule.languages.includes(languageId)) continue;
+        rule.tags.filter(tag => typeof tag === 'string' && tag.trim()).forEach(tag => tags.add(tag.trim()));
+    }
+    return [...tags];
+}
 
-    const filePath = editor.document.fileName;
-    const relativeFilePath = getRelativeFilePath(filePath, workspaceFolder);
+/**
+ * Rule tags already offered for a file: added on create/save or shown in the
+ * workspace preview. They are not added again on save, so removing one sticks.
+ */
+function getOfferedAutoTags(relativeFilePath) {
+    const state = extensionContext ? extensionContext.workspaceState.get(AUTO_TAGS_KEY, {}) : {};
+    return state[relativeFilePath] || [];
+}
 
-    const action = await vscode.window.showQuickPick(
-        ['Add Tag', 'Remove Tag'],
-        { placeHolder: 'What do you want to do?' }
-    );
-    if (!action) return;
+async function addOfferedAutoTags(entries) {
+    if (!extensionContext) return;
+    const state = { ...extensionContext.workspaceState.get(AUTO_TAGS_KEY, {}) };
+    let changed = false;
+    for (const [relativeFilePath, tags] of entries) {
+        const offered = state[relativeFilePath] || [];
+        const added = tags.filter(tag => !offered.includes(tag));
+        if (added.length === 0) continue;
+        state[relativeFilePath] = [...offered, ...added];
+        changed = true;
+    }
+    if (changed) await extensionContext.workspaceState.update(AUTO_TAGS_KEY, state);
+}
 
-    if (action === 'Add Tag') {
-        await handleAddTagToFile(workspaceFolder, relativeFilePath);
-    } else {
-        await handleRemoveTagFromFile(workspaceFolder, relativeFilePath);
+/**
+ * Auto-tag changes for one file, as { relativeFilePath, ruleTags, changes }.
+ * Language rules take the languageId from the given or an already open
+ * document; only with openDocument is the file opened to find it.
+ */
+async function getAutoTagChangesForFile(workspaceFolder, uri, rules, { document = null, openDocument = false } = {}) {
+    const relativeFilePath = getRelativeFilePath(uri.fsPath, workspaceFolder);
+    const knownDocument = document || vscode.workspace.textDocuments.find(doc => doc.uri.toString() === uri.toString());
+    let languageId = knownDocument ? knownDocument.languageId : null;
+    if (!languageId && openDocument && rules.some(rule => Array.isArray(rule.languages))) {
+        try {
+            languageId = (await vscode.workspace.openTextDocument(uri)).languageId;
+        } catch (e) {
+            // binary or unreadable file: only pattern rules apply
+        }
     }
+    const ruleTags = getAutoTagsForFile(rules, relativeFilePath, languageId);
+    const fileTags = await getFileTags(workspaceFolder, relativeFilePath);
+    const allTags = await fetchTags(workspaceFolder);
+    return {
+        relativeFilePath,
+        ruleTags,
+        changes: ruleTags
+            .filter(tag => !fileTags.includes(tag))
+            .map(tag => ({ file: relativeFilePath, tag, add: true, isNew: !allTags.includes(tag) })),
+    };
 }
 
 /**
- * Helper: Add tag to file with creation option
+ * Apply auto-tag rules to created or saved files, without a preview. Each
+ * rule tag is added to a file once; tags removed afterwards stay removed.
  */
-async function handleAddTagToFile(workspaceFolder, relativeFilePath) {
-    try {
-        const tags = await fetchTags(workspaceFolder);
-        const tagName = await showQuickPickWithCreate(tags, 'Select or create a tag');
-        if (!tagName) return;
+async function applyAutoTagRules(entries) {
+    const rules = getAutoTagRules();
+    const workspaceFolder = getWorkspaceFolder();
+    if (rules.length === 0 || !workspaceFolder) return;
 
-        // Create tag if it doesn't exist
-        if (!tags.includes(tagName)) {
-            try {
-                const stdout = await execPromise(`tagfs addtags ${tagName}`, { cwd: workspaceFolder });
-                showInfo(stdout);
-                cachedTags = null; // Invalidate cache
-            } catch (error) {
-                showError(error);
-                return;
-            }
+    try {
+        const results = [];
+        for (const { uri, document } of entries) {
+            if (uri.scheme !== 'file' || !uri.fsPath.startsWith(workspaceFolder + path.sep)) continue;
+            if (!document && !(fs.existsSync(uri.fsPath) && fs.statSync(uri.fsPath).isFile())) continue;
+            const result = await getAutoTagChangesForFile(workspaceFolder, uri, rules, { document });
+            const offered = getOfferedAutoTags(result.relativeFilePath);
+            result.changes = result.changes.filter(change => !offered.includes(change.tag));
+            if (result.ruleTags.length) results.push(result);
         }
+        const changes = results.flatMap(result => result.changes);
 
-        await tagFileWithTag(workspaceFolder, relativeFilePath, tagName);
+        const failed = changes.length ? await applyTagChanges(workspaceFolder, changes) : 0;
+        if (failed) {
+            showError(`${failed} auto-tag change(s) failed.`);
+            return;
+        }
+        await addOfferedAutoTags(results.map(result => [result.relativeFilePath, result.ruleTags]));
+        if (changes.length) {
+            vscode.window.setStatusBarMessage(`HTFS: auto-tagged ${changes.map(c => `${c.file} +${c.tag}`).join(', ')}`, 5000);
+        }
     } catch (error) {
         showError(error);
     }
 }
 
 /**
- * Helper: Remove tag from file
+ * Apply auto-tag rules to every workspace file after a dry-run preview
  */
-async function handleRemoveTagFromFile(workspaceFolder, relativeFilePath) {
+async function tagfsApplyAutoTagRules() {
+    const workspaceFolder = await getWorkspaceOrShowError();
+    if (!workspaceFolder) return;
+    const rules = getAutoTagRules();
+    if (rules.length === 0) {
+        showInfo('No auto-tag rules. Add them to the "tagfs.autoTagRules" setting first.');
+        return;
+    }
+
     try {
-        const tags = await getFileTags(workspaceFolder, relativeFilePath);
-        if (tags.length === 0) {
-            showInfo('No tags to remove from this file.');
+        const changes = await vscode.window.withProgress(
+            { location: vscode.ProgressLocation.Notification, title: 'HTFS: Matching auto-tag rules', cancellable: true },
+            async (progress, token) => {
+                const found = [];
+                for (const uri of await findScannableFiles(workspaceFolder, 'matched against auto-tag rules')) {
+                    if (token.isCancellationRequested) return null;
+                    found.push(...(await getAutoTagChangesForFile(workspaceFolder, uri, rules, { openDocument: true })).changes);
+                }
+                return found;
+            }
+        );
+        if (!changes) return;
+        if (changes.length === 0) {
+            showInfo('All files already have the tags from the auto-tag rules.');
             return;
         }
 
-        const selectedTag = await vscode.window.showQuickPick(
-            tags,
-            { placeHolder: 'Select a tag to remove' }
-        );
-        if (!selectedTag) return;
-
-        await untagFileWithTag(workspaceFolder, relativeFilePath, selectedTag);
+        const accepted = await previewTagChanges(changes, false, `HTFS: Apply ${changes.length} tag(s) from auto-tag rules?`);
+        if (accepted.length === 0) return;
+        // Unchecked tags count as offered too, so saving the file does not add them anyway
+        await addOfferedAutoTags(changes.map(change => [change.file, [change.tag]]));
+        const failed = await applyTagChanges(workspaceFolder, accepted);
+        if (failed) showError(`${failed} of ${accepted.length} auto-tag change(s) failed.`);
+        else showInfo(`Applied ${accepted.length} tag(s) from auto-tag rules.`);
     } catch (error) {
         showError(error);
     }
 }
 
 // ============================================================================
-// WEBVIEW & UI FEATURES
+// COMMAND REGISTRATION
 // ============================================================================
 
 /**
- * Show tags for current file in a webview panel
+ * Register all HTFS commands (called after configuration is set)
  */
-async function showTagsWebviewPanel() {
-    const workspaceFolder = getWorkspaceFolder();
-    if (!workspaceFolder) {
-        showError('No workspace folder found.');
-        return;
-    }
+function registerCommands(context) {
+    context.subscriptions.push(
+        vscode.commands.registerCommand('tagfs.init', tagfsInit),
+        vscode.commands.registerCommand('tagfs.listtags', tagfsListTags),
+        vscode.commands.registerCommand('tagfs.addtag', tagfsAddTag),
+        vscode.commands.registerCommand('tagfs.renametag', tagfsRenameTag),
+        vscode.commands.registerCommand('tagfs.searchbytag', tagfsSearchByTag),
+        vscode.commands.registerCommand('tagfs.linktags', tagfsLinkTags),
+        vscode.commands.registerCommand('tagfs.editfiletags', tagfsEditFileTags),
+        vscode.commands.registerCommand('tagfs.showfiletags', tagfsGetTagsForFile),
+        vscode.commands.registerCommand('tagfs.addchildtag', tagfsAddChildTag),
+        vscode.commands.registerCommand('tagfs.deletetag', tagfsDeleteTag),
+        vscode.commands.registerCommand('tagfs.showTagsPanel', tagfsShowTagsPanel),
+        vscode.commands.registerCommand('tagfs.syncAllMarkers', tagfsSyncAllMarkers),
+        vscode.commands.registerCommand('tagfs.fixTagReference', tagfsFixTagReference),
+        vscode.commands.registerCommand('tagfs.showTagGraph', () => tagfsShowTagGraph(context.extensionUri)),
+        vscode.commands.registerCommand('tagfs.unlinktags', tagfsUnlinkTags),
+        vscode.commands.registerCommand('tagfs.mergetags', tagfsMergeTags),
+        vscode.commands.registerCommand('tagfs.openTagFileSystem', tagfsOpenTagFileSystem),
+        vscode.commands.registerCommand('tagfs.rebuildIndex', tagfsRebuildIndex),
+        vscode.commands.registerCommand('tagfs.openAllSearchResults', tagfsOpenAllSearchResults),
+        vscode.commands.registerCommand('tagfs.copySearchResultPaths', tagfsCopySearchResultPaths),
+        vscode.commands.registerCommand('tagfs.rerunSearch', tagfsRerunSearch),
+        vscode.commands.registerCommand('tagfs.saveQuery', tagfsSaveQuery),
+        vscode.commands.registerCommand('tagfs.runSavedQuery', tagfsRunSavedQuery),
+        vscode.commands.registerCommand('tagfs.deleteSavedQuery', tagfsDeleteSavedQuery),
+        vscode.commands.registerCommand('tagfs.tagSelectedFiles', (uri, uris) => tagfsEditSelectedFiles('tag', uri, uris)),
+        vscode.commands.registerCommand('tagfs.untagSelectedFiles', (uri, uris) => tagfsEditSelectedFiles('untag', uri, uris)),
+        vscode.commands.registerCommand('tagfs.untagFile', tagfsUntagFile),
+        vscode.commands.registerCommand('tagfs.fileTagMenu', tagfsFileTagMenu),
+        vscode.commands.registerCommand('tagfs.exportTags', tagfsExportTags),
+        vscode.commands.registerCommand('tagfs.importTags', tagfsImportTags),
+        vscode.commands.registerCommand('tagfs.applyAutoTagRules', tagfsApplyAutoTagRules),
+        vscode.commands.registerCommand('tagfs.showTagCoverage', () => tagfsShowTagCoverage(context.extensionUri)),
+        vscode.commands.registerCommand('tagfs.tagUntaggedFile', tagfsTagUntaggedFile),
+        vscode.commands.registerCommand('tagfs.refreshTagExplorer', () => {
+            invalidateTagParents();
+            notifyTagDataChanged();
+        }),
+    );
+}
 
-    const editor = vscode.window.activeTextEditor;
-    if (!editor) {
-        showError('No active editor found.');
-        return;
-    }
+/**
+ * Register the htfs: tag file system provider
+ */
+function registerTagFileSystem(context) {
+    const tagFileSystemProvider = new TagFileSystemProvider();
+    context.subscriptions.push(
+        vscode.workspace.registerFileSystemProvider(HTFS_SCHEME, tagFileSystemProvider, { isCaseSensitive: true }),
+        tagDataChangedEmitter.event(() => tagFileSystemProvider.notifyChanged())
+    );
+}
 
-    const filePath = editor.document.fileName;
-    const relativeFilePath = getRelativeFilePath(filePath, workspaceFolder);
+/**
+ * Register the Explorer/tab/SCM file decoration provider for tagged files
+ */
+function registerFileDecorations(context) {
+    const fileDecorationProvider = new TagFileDecorationProvider();
+    context.subscriptions.push(
+        vscode.window.registerFileDecorationProvider(fileDecorationProvider),
+        tagDataChangedEmitter.event(() => fileDecorationProvider.refresh()),
+        vscode.workspace.onDidChangeConfiguration((e) => {
+            if (e.affectsConfiguration(`${CONFIG.NAMESPACE}.explorerBadge`) || e.affectsConfiguration(`${CONFIG.NAMESPACE}.tagColors`)) {
+                fileDecorationProvider.refresh();
+            }
+        })
+    );
+}
 
-    let tags = [];
-    try {
-        tags = await getFileTags(workspaceFolder, relativeFilePath);
-    } catch (error) {
-        tags = ['(Error fetching tags)'];
-    }
+/**
+ * Register the HTFS Search results view; it re-runs the last query when tags change
+ */
+function registerSearchView(context) {
+    searchResultsProvider = new SearchResultsProvider(context.workspaceState);
+    const treeView = vscode.window.createTreeView('tagfs.searchResults', { treeDataProvider: searchResultsProvider });
+    searchResultsProvider.treeView = treeView;
+    context.subscriptions.push(
+        treeView,
+        tagDataChangedEmitter.event(debounce(() => {
+            searchResultsProvider.rerun().catch(() => {});
+        }, 500))
+    );
+}
 
-    const filename = editor.document.fileName.split(/[\\/]/).pop();
-    const panel = vscode.window.createWebviewPanel(
-        'tagfsTagsPanel',
-        `Tags: ${filename}`,
-        vscode.ViewColumn.Beside,
-        {}
+/**
+ * Register the Untagged Files view; it refreshes when tags or files change
+ */
+function registerUntaggedFilesView(context) {
+    const untaggedFilesProvider = new UntaggedFilesProvider();
+    const refresh = debounce(() => untaggedFilesProvider.refresh(), 500);
+    context.subscriptions.push(
+        vscode.window.registerTreeDataProvider('tagfs.untaggedFiles', untaggedFilesProvider),
+        tagDataChangedEmitter.event(refresh),
+        vscode.workspace.onDidCreateFiles(refresh),
+        vscode.workspace.onDidDeleteFiles(refresh),
+        vscode.workspace.onDidRenameFiles(refresh),
+        vscode.commands.registerCommand('tagfs.refreshUntaggedFiles', () => untaggedFilesProvider.refresh())
+    );
+}
+
+/**
+ * Register the HTFS History view and the undo/redo commands
+ */
+function registerTagHistory(context) {
+    const historyProvider = new TagHistoryProvider();
+    context.subscriptions.push(
+        vscode.window.registerTreeDataProvider('tagfs.history', historyProvider),
+        tagJournalChangedEmitter.event(() => historyProvider.refresh()),
+        vscode.commands.registerCommand('tagfs.undoTagChange', tagfsUndoTagChange),
+        vscode.commands.registerCommand('tagfs.redoTagChange', tagfsRedoTagChange),
+        vscode.commands.registerCommand('tagfs.revertTagChange', tagfsRevertTagChange),
+        vscode.commands.registerCommand('tagfs.clearTagHistory', tagfsClearTagHistory)
+    );
+}
+
+/**
+ * Register the tags panel webview view; it follows the active editor
+ */
+function registerTagsPanel(context) {
+    const tagsPanelProvider = new TagsPanelViewProvider(context.extensionUri);
+    tagsPanelProvider.setEditor(vscode.window.activeTextEditor);
+    context.subscriptions.push(
+        vscode.window.registerWebviewViewProvider('tagfs.tagsPanel', tagsPanelProvider),
+        vscode.window.onDidChangeActiveTextEditor(editor => tagsPanelProvider.setEditor(editor)),
+        tagDataChangedEmitter.event(() => tagsPanelProvider.update()),
+        vscode.workspace.onDidChangeConfiguration((e) => {
+            if (e.affectsConfiguration(`${CONFIG.NAMESPACE}.contentTagging.marker`)) tagsPanelProvider.update();
+        })
+    );
+}
+
+/**
+ * Register tag reference diagnostics and their quick fixes
+ */
+function registerTagDiagnostics(context) {
+    const collection = vscode.languages.createDiagnosticCollection('htfs');
+    const refreshAll = () => vscode.workspace.textDocuments.forEach(doc => updateTagDiagnostics(doc, collection));
+    // Debounced per document, so typing in one file does not drop another file's pending update
+    const pending = new Map();
+    const cancelPending = (uri) => {
+        clearTimeout(pending.get(uri.toString()));
+        pending.delete(uri.toString());
+    };
+    const refreshDebounced = (document) => {
+        cancelPending(document.uri);
+        pending.set(document.uri.toString(), setTimeout(() => {
+            pending.delete(document.uri.toString());
+            updateTagDiagnostics(document, collection);
+        }, 500));
+    };
+
+    context.subscriptions.push(
+        collection,
+        vscode.languages.registerCodeActionsProvider(
+            { scheme: 'file' },
+            new TagReferenceCodeActionProvider(),
+            { providedCodeActionKinds: [vscode.CodeActionKind.QuickFix] }
+        ),
+        vscode.workspace.onDidOpenTextDocument(doc => updateTagDiagnostics(doc, collection)),
+        vscode.workspace.onDidChangeTextDocument(e => refreshDebounced(e.document)),
+        vscode.workspace.onDidCloseTextDocument(doc => {
+            cancelPending(doc.uri);
+            collection.delete(doc.uri);
+        }),
+        vscode.workspace.onDidChangeConfiguration(e => {
+            if (e.affectsConfiguration(CONFIG.NAMESPACE)) refreshAll();
+        }),
+        tagDataChangedEmitter.event(refreshAll),
+        new vscode.Disposable(() => pending.forEach(timer => clearTimeout(timer)))
+    );
+    refreshAll();
+}
+
+/**
+ * Register the Tag Explorer tree view
+ */
+function registerTagExplorer(context) {
+    const tagExplorerProvider = new TagExplorerProvider();
+    const treeView = vscode.window.createTreeView('tagfs.tagExplorer', { treeDataProvider: tagExplorerProvider });
+    context.subscriptions.push(
+        treeView,
+        tagDataChangedEmitter.event(() => tagExplorerProvider.refresh()),
+        vscode.workspace.onDidChangeConfiguration((e) => {
+            if (e.affectsConfiguration(`${CONFIG.NAMESPACE}.tagIcons`) || e.affectsConfiguration(`${CONFIG.NAMESPACE}.tagColors`)) {
+                tagExplorerProvider.refresh();
+            }
+        }),
+        vscode.commands.registerCommand('tagfs.revealTag', async (tag) => {
+            const workspaceFolder = getWorkspaceFolder();
+            if (!workspaceFolder || !tag) return;
+            try {
+                const ancestors = findTagPath(await fetchTagParents(workspaceFolder), tag);
+                if (!ancestors) {
+                    showInfo(`Tag '${tag}' is not in the Tag Explorer.`);
+                    return;
+                }
+                await treeView.reveal(createTagElement(tag, ancestors), { select: true, focus: true, expand: true });
+            } catch (error) {
+                showError(error);
+            }
+        })
+    );
+}
+
+/**
+ * Register the F2 rename provider for tag markers
+ */
+function registerTagRename(context) {
+    const renameProvider = new TagRenameProvider();
+    context.subscriptions.push(
+        vscode.languages.registerRenameProvider({ scheme: 'file' }, renameProvider),
+        vscode.workspace.onDidChangeTextDocument(e => renameProvider.handleDocumentChange(e.document)),
+        // A discarded rename is dropped with its document
+        vscode.workspace.onDidCloseTextDocument(doc => {
+            if (renameProvider.pending && renameProvider.pending.uri === doc.uri.toString()) renameProvider.pending = null;
+        })
     );
-
-    panel.webview.html = getTagsPanelHtml(tags, filename);
 }
 
 /**
- * Generate HTML for tags webview panel
+ * Register Find All References and workspace symbol search for tags
  */
-function getTagsPanelHtml(tags, filename) {
-    const tagItems = tags.length
-        ? tags.map(tag => `<li class="tag">${tag}</li>`).join('')
-        : '<li>No tags</li>';
-
-    return `
-        <!DOCTYPE html>
-        <html lang="en">
-        <head>
-            <meta charset="UTF-8">
-            <style>
-                body { font-family: sans-serif; padding: 1em; }
-                h2 { margin-top: 0; }
-                ul { padding-left: 1.2em; }
-                .tag { 
-                    background: #eee; 
-                    border-radius: 4px; 
-                    padding: 2px 8px; 
-                    margin: 2px; 
-                    display: inline-block; 
-                }
-            </style>
-        </head>
-        <body>
-            <h2>Tags for <code>${filename}</code></h2>
-            <ul>
-                ${tagItems}
-            </ul>
-        </body>
-        </html>
-    `;
+function registerTagReferences(context) {
+    context.subscriptions.push(
+        vscode.languages.registerReferenceProvider({ scheme: 'file' }, new TagReferenceProvider()),
+        vscode.languages.registerWorkspaceSymbolProvider(new TagWorkspaceSymbolProvider())
+    );
 }
 
-// ============================================================================
-// DECORATIONS & CODELENS
-// ============================================================================
-
-const tagUnderlineDecorationType = vscode.window.createTextEditorDecorationType({
-    // Add a small underline offset so the underline has some vertical padding
-    // `text-underline-offset` provides the visual padding beneath the text
-    textDecoration: 'underline; text-underline-offset: 3px',
-    rangeBehavior: vscode.DecorationRangeBehavior.ClosedClosed
-});
-
-// Cache for decoration types by color
-const tagDecorationTypes = new Map();
+/**
+ * Keep the export file current after every tag change when `tagfs.export.auto` is on
+ */
+function registerTagAutoExport(context) {
+    context.subscriptions.push(
+        tagDataChangedEmitter.event(debounce(async () => {
+            const workspaceFolder = getWorkspaceFolder();
+            if (!workspaceFolder) return;
+            if (!vscode.workspace.getConfiguration(`${CONFIG.NAMESPACE}.export`).get('auto', false)) return;
+            try {
+                await writeTagExport(workspaceFolder, getTagExportUri(workspaceFolder));
+            } catch (e) {
+                console.error('[tagfs] Auto-export failed:', e);
+            }
+        }, 1000))
+    );
+}
 
-function escapeRegExp(string) {
-    return string.replace(/[.*+?^${}()|[\\]\\]/g, '\\$&');
+/**
+ * Whether a tag database change on disk may have been made by the extension's
+ * own mutating tagfs calls or reload reads (running now or finished within the
+ * grace window)
+ */
+function isOwnTagDatabaseWrite() {
+    return tagfsWritesRunning > 0 || Date.now() - lastTagfsWriteTime < TAGFS_OWN_WRITE_GRACE_MS;
 }
 
 /**
- * Generate a consistent color for a tag based on its name
+ * Whether a database file was modified (or deleted) after the extension's
+ * last own write finished, so the change cannot be the extension's
  */
-function getTagColor(tag) {
-    // Simple hash function to generate consistent colors
-    let hash = 0;
-    for (let i = 0; i < tag.length; i++) {
-        hash = ((hash << 5) - hash) + tag.charCodeAt(i);
-        hash = hash & hash; // Convert to 32-bit integer
+async function isChangedAfterOwnWrite(uri) {
+    try {
+        return (await vscode.workspace.fs.stat(uri)).mtime > lastTagfsWriteTime;
+    } catch (e) {
+        return true;
     }
-    
-    // Fixed set of background colors for tags
-    const tagColors = [
-        '#965959ff', // Light red
-        '#5c855cff', // Light green  
-        '#6b6ba2ff', // Light blue
-        '#659393ff', // Light cyan
-        '#807a7aff'  // Light grey
-    ];
-    
-    // Use hash to select a color from the fixed set
-    const colorIndex = Math.abs(hash) % tagColors.length;
-    return tagColors[colorIndex];
 }
 
 /**
- * Update inline underline decorations for every tag occurrence in the document
+ * Reload everything derived from the tag database after it changed outside
+ * the extension (terminal `tagfs` calls, git pulls, other editors)
  */
-async function updateTagDecorations(editor) {
-    if (!editor || !editor.document) return;
-
-    const workspaceFolder = getWorkspaceFolder();
-    if (!workspaceFolder) return;
-
-    const relativeFilePath = getRelativeFilePath(editor.document.fileName, workspaceFolder);
-
+async function reloadAfterExternalTagChange() {
+    tagDatabaseReloadsRunning++;
     try {
-        const tags = await getFileTags(workspaceFolder, relativeFilePath);
-        if (!tags || tags.length === 0) {
-            // Clear all decoration types
-            for (const decorationType of tagDecorationTypes.values()) {
-                editor.setDecorations(decorationType, []);
-            }
-            editor.setDecorations(tagUnderlineDecorationType, []);
-            return;
-        }
-
-        const docText = editor.document.getText();
-        const decorationsByColor = new Map();
-
-        // For each tag, find every occurrence and group by color
-        for (const tag of tags) {
-            if (!tag || typeof tag !== 'string') continue;
-            const esc = '(?:^|[ \\n\\t])' + escapeRegExp(tag) + '(?:$|\\r?[ \\n\\t])';
-            const re = new RegExp(esc, 'g');
-            let match;
-            while ((match = re.exec(docText)) !== null) {
-                const fullMatch = match[0];
-                const tagStartInMatch = fullMatch.indexOf(tag);
-                const startOffset = match.index + tagStartInMatch;
-                const endOffset = startOffset + tag.length;
-                const startPos = editor.document.positionAt(startOffset);
-                const endPos = editor.document.positionAt(endOffset);
-                const range = new vscode.Range(startPos, endPos);                
-
-                const searchCommandUri = vscode.Uri.parse(
-                   `command:tagfs.searchbytag?${
-                    encodeURIComponent(JSON.stringify([tag]))}`
-                );
-
-                const hoverString = new vscode.MarkdownString(                            
-                    `[Search files with ${TAG_MARKER}${tag} tag](${searchCommandUri})`
-                );                
-                hoverString.isTrusted = true;
-
-                const tagColor = getTagColor(tag);
-
-                if (!decorationsByColor.has(tagColor)) {
-                    decorationsByColor.set(tagColor, []);
-                }
-
-                const decoration = {
-                    range,
-                    hoverMessage: hoverString,
-                    renderOptions: {
-                        before: {
-                            contentText: TAG_MARKER,
-                            margin: '0 0.0em 0 0',
-                            color: new vscode.ThemeColor('descriptionForeground')
-                        }
-                    }
-                };
-
-                decorationsByColor.get(tagColor).push(decoration);                
-            }
-        }
-
-        // Apply decorations for each color
-        for (const [color, decorations] of decorationsByColor) {
-            if (!tagDecorationTypes.has(color)) {
-                const decorationType = vscode.window.createTextEditorDecorationType({
-                    textDecoration: 'underline; text-underline-offset: 3px',
-                    rangeBehavior: vscode.DecorationRangeBehavior.ClosedClosed,
-                    backgroundColor: color
-                });
-                tagDecorationTypes.set(color, decorationType);
-            }
-            const decorationType = tagDecorationTypes.get(color);
-            editor.setDecorations(decorationType, decorations);
-        }
-
-        // Clear unused decoration types
-        for (const [color, decorationType] of tagDecorationTypes) {
-            if (!decorationsByColor.has(color)) {
-                editor.setDecorations(decorationType, []);
-            }
+        invalidateTagIndex();
+        // Load the index and links here so the reads run inside the reload
+        const workspaceFolder = getWorkspaceFolder();
+        if (workspaceFolder) {
+            try { await fetchTagParents(workspaceFolder); } catch (e) {}
         }
-
-    } catch (e) {
-        // Clear all decorations on error
-        for (const decorationType of tagDecorationTypes.values()) {
-            editor.setDecorations(decorationType, []);
+        notifyTagDataChanged();  // status bar, CodeLens, views and auto-export
+        for (const editor of vscode.window.visibleTextEditors) {
+            try { await updateTagDecorations(editor); } catch (e) {}
         }
-        editor.setDecorations(tagUnderlineDecorationType, []);
+    } finally {
+        tagDatabaseReloadsRunning--;
     }
 }
 
 /**
- * Code lens provider for showing tags on the first line
+ * Watch the tagfs database (`tagfs.database.watchPattern`) and reload when it
+ * changes outside the extension; the watcher follows setting changes
  */
-class TagFsCodeLensProvider {
-    async provideCodeLenses(document, token) {
+function registerTagDatabaseWatcher(context) {
+    let watcher = null;
+    const reload = debounce(() => reloadAfterExternalTagChange(), TAG_DATABASE_WATCH_DEBOUNCE_MS);
+    // Changes during or right after an own write are looked at again once the
+    // grace window has passed, and reloaded if the file was modified after it
+    const recheckTimers = new Set();
+    const recheck = (uri) => {
+        const timer = setTimeout(async () => {
+            recheckTimers.delete(timer);
+            if (tagfsWritesRunning > 0) recheck(uri);
+            else if (await isChangedAfterOwnWrite(uri)) reload();
+        }, TAGFS_OWN_WRITE_GRACE_MS);
+        recheckTimers.add(timer);
+    };
+    const onChange = (uri) => {
+        if (isOwnTagDatabaseWrite()) recheck(uri);
+        else reload();
+    };
+    const createWatcher = () => {
+        if (watcher) watcher.dispose();
+        watcher = null;
         const workspaceFolder = getWorkspaceFolder();
-        if (!workspaceFolder) return [];
-
-        const relativeFilePath = getRelativeFilePath(document.fileName, workspaceFolder);
-
-        try {
-            const tags = await getFileTags(workspaceFolder, relativeFilePath);
-            if (tags.length === 0) return [];
+        const pattern = vscode.workspace.getConfiguration(`${CONFIG.NAMESPACE}.database`).get('watchPattern', TAG_DATABASE_WATCH_PATTERN);
+        if (!workspaceFolder || !pattern) return;
+        watcher = vscode.workspace.createFileSystemWatcher(new vscode.RelativePattern(workspaceFolder, pattern));
+        watcher.onDidCreate(onChange);
+        watcher.onDidChange(onChange);
+        watcher.onDidDelete(onChange);
+    };
 
-            return [
-                new vscode.CodeLens(
-                    new vscode.Range(0, 0, 0, 0),
-                    {
-                        title: `${TAG_DECORATION_EMOJI}: \{ #${tags.join(', #')} \}`,
-                        command: ''
-                    }
-                )
-            ];
-        } catch {
-            return [];
-        }
-    }
+    createWatcher();
+    context.subscriptions.push(
+        vscode.workspace.onDidChangeConfiguration((e) => {
+            if (e.affectsConfiguration(`${CONFIG.NAMESPACE}.database.watchPattern`)) createWatcher();
+        }),
+        vscode.workspace.onDidChangeWorkspaceFolders(() => createWatcher()),
+        new vscode.Disposable(() => {
+            if (watcher) watcher.dispose();
+            recheckTimers.forEach(timer => clearTimeout(timer));
+        })
+    );
 }
 
-// ============================================================================
-// COMMAND REGISTRATION
-// ============================================================================
-
 /**
- * Register all HTFS commands (called after configuration is set)
+ * Register the tag hover provider
  */
-function registerCommands(context) {
+function registerTagHover(context) {
     context.subscriptions.push(
-        vscode.commands.registerCommand('tagfs.init', tagfsInit),
-        vscode.commands.registerCommand('tagfs.listtags', tagfsListTags),
-        vscode.commands.registerCommand('tagfs.addtag', tagfsAddTag),
-        vscode.commands.registerCommand('tagfs.renametag', tagfsRenameTag),
-        vscode.commands.registerCommand('tagfs.searchbytag', tagfsSearchByTag),
-        vscode.commands.registerCommand('tagfs.linktags', tagfsLinkTags),
-        vscode.commands.registerCommand('tagfs.editfiletags', tagfsEditFileTags),
-        vscode.commands.registerCommand('tagfs.showfiletags', tagfsGetTagsForFile),
+        vscode.languages.registerHoverProvider({ scheme: 'file' }, new TagHoverProvider())
     );
 }
 
@@ -854,18 +5269,43 @@ function registerConfigCommand(context) {
 // ============================================================================
 
 /**
- * Register completion provider for tag insertion with ## trigger
+ * Completion trigger string (`tagfs.completion.trigger`, `##` by default)
+ */
+function getCompletionTrigger() {
+    const trigger = vscode.workspace.getConfiguration(`${CONFIG.NAMESPACE}.completion`).get('trigger', COMPLETION_TRIGGER);
+    return trigger || COMPLETION_TRIGGER;
+}
+
+/**
+ * Register completion provider for tag insertion after the trigger (## by default).
+ * Trigger characters are fixed at registration, so a new trigger re-registers it.
  */
 function registerCompletionProvider(context) {
-    const completionProvider = vscode.languages.registerCompletionItemProvider(
+    let completionProvider = createCompletionProvider(getCompletionTrigger());
+    context.subscriptions.push(
+        { dispose: () => completionProvider.dispose() },
+        vscode.workspace.onDidChangeConfiguration((e) => {
+            if (!e.affectsConfiguration(`${CONFIG.NAMESPACE}.completion.trigger`)) return;
+            completionProvider.dispose();
+            completionProvider = createCompletionProvider(getCompletionTrigger());
+        })
+    );
+}
+
+/**
+ * Completion provider offering tags after the given trigger string
+ */
+function createCompletionProvider(trigger) {
+    return vscode.languages.registerCompletionItemProvider(
         { scheme: 'file', language: '*' },
         {
             async provideCompletionItems(document, position) {
+                if (!isFeatureEnabled('completion', document)) return [];
                 const line = document.lineAt(position).text;
                 const before = line.substring(0, position.character);
 
-                // Only show completions after double-hash trigger
-                if (!before.endsWith(COMPLETION_TRIGGER)) return [];
+                // Only show completions after the trigger
+                if (!before.endsWith(trigger)) return [];
 
                 const workspaceFolder = getWorkspaceFolder();
                 if (!workspaceFolder) return [];
@@ -878,13 +5318,17 @@ function registerCompletionProvider(context) {
                 }
 
                 // Create range to replace the trigger characters
-                const startPos = position.translate(0, -COMPLETION_TRIGGER.length);
+                const startPos = position.translate(0, -trigger.length);
                 const range = new vscode.Range(startPos, position);
 
+                // With content tagging on, keep a marker in the text so the tag stays in sync
+                const contentTagging = getContentTaggingConfig(document);
+                const prefix = contentTagging.enabled ? contentTagging.marker : '';
+
                 const items = tags.map(tag => {
                     const item = new vscode.CompletionItem(tag, vscode.CompletionItemKind.Text);
-                    item.insertText = tag;
-                    item.filterText = `${COMPLETION_TRIGGER}${tag}`;
+                    item.insertText = `${prefix}${tag}`;
+                    item.filterText = `${trigger}${tag}`;
                     item.range = range;
                     item.command = {
                         command: 'tagfs.applyTagFromCompletion',
@@ -896,7 +5340,7 @@ function registerCompletionProvider(context) {
 
                 if (items.length === 0) {
                     const placeholder = new vscode.CompletionItem('(no tags found)', vscode.CompletionItemKind.Text);
-                    placeholder.insertText = COMPLETION_TRIGGER;
+                    placeholder.insertText = trigger;
                     placeholder.range = range;
                     return new vscode.CompletionList([placeholder], false);
                 }
@@ -904,10 +5348,8 @@ function registerCompletionProvider(context) {
                 return new vscode.CompletionList(items, false);
             }
         },
-        ...COMPLETION_TRIGGER.split('')  // Split trigger into individual chars
+        ...new Set(trigger.split(''))  // Split trigger into individual chars
     );
-
-    context.subscriptions.push(completionProvider);
 }
 
 /**
@@ -942,7 +5384,9 @@ function registerEventListeners(context) {
         vscode.window.onDidChangeActiveTextEditor(async (editor) => {
             try { await updateTagCount(); } catch (e) {}
             try { await updateTagDecorations(editor); } catch (e) {}
-        })
+        }),
+        // Links and tags changed elsewhere: inherited tags in the status bar may be stale
+        tagDataChangedEmitter.event(() => updateTagCount().catch(() => {}))
     );
 
     // Debounced document change -> refresh decorations for active editor
@@ -956,76 +5400,210 @@ function registerEventListeners(context) {
     );
 
     // CodeLens provider
+    const codeLensProvider = new TagFsCodeLensProvider();
     context.subscriptions.push(
-        vscode.languages.registerCodeLensProvider({ scheme: 'file' }, new TagFsCodeLensProvider())
+        vscode.languages.registerCodeLensProvider({ scheme: 'file' }, codeLensProvider),
+        tagDataChangedEmitter.event(() => codeLensProvider.refresh())
     );
 
-   
-    vscode.workspace.onDidRenameFiles(async (event) => {
-        for (const file of event.files) {
-            const oldPath = file.oldUri.fsPath;
-            const newPath = file.newUri.fsPath;
+    // Appearance settings and feature toggles apply without reloading
+    context.subscriptions.push(
+        vscode.workspace.onDidChangeConfiguration(async (e) => {
+            if (!e.affectsConfiguration(CONFIG.NAMESPACE)) return;
+            if (e.affectsConfiguration(`${CONFIG.NAMESPACE}.tagColors`)) resetTagDecorationTypes();
+            codeLensProvider.refresh();
+            try { await updateTagCount(); } catch (e) {}
+            for (const editor of vscode.window.visibleTextEditors) {
+                try { await updateTagDecorations(editor); } catch (e) {}
+            }
+        })
+    );
 
-            // TODO: update your DB here
-            await updateTagDatabaseOnRename(oldPath, newPath);
-        }}
+    // Content-driven tagging: reconcile markers with tags on save (opt-in)
+    context.subscriptions.push(
+        vscode.workspace.onDidSaveTextDocument((document) => syncMarkersOnSave(document))
     );
 
-    vscode.workspace.onDidDeleteFiles(async (event) => {
-        for (const file of event.files) {
-            const deletedPath = file.fsPath;
-            
-            await updateTagDatabaseOnDelete(deletedPath);
-        }
-    });
+    // Auto-tag rules: tag new and saved files by glob and language
+    context.subscriptions.push(
+        vscode.workspace.onDidSaveTextDocument((document) => applyAutoTagRules([{ uri: document.uri, document }])),
+        vscode.workspace.onDidCreateFiles((event) => applyAutoTagRules(event.files.map(uri => ({ uri }))))
+    );
 
-    // Invalidate file tag cache when document is closed
+    // Keep the tag database in sync with file and folder renames/deletes
     context.subscriptions.push(
-        vscode.workspace.onDidCloseTextDocument((document) => {
-            const workspaceFolder = getWorkspaceFolder();
-            if (workspaceFolder) {
-                const relativePath = getRelativeFilePath(document.fileName, workspaceFolder);
-                cachedFileTags.delete(relativePath);
-            }
-        })
+        vscode.workspace.onDidRenameFiles((event) => updateTagDatabaseOnRename(event.files)),
+        vscode.workspace.onDidDeleteFiles((event) => updateTagDatabaseOnDelete(event.files)),
+        vscode.workspace.onDidCreateFiles((event) => restoreDeletedTags(event.files))
     );
 }
 
 /**
- * Function to update tag database on file delete
+ * Workspace-relative (`./`) path for a file URI, or null if it is not in the workspace
+ */
+function getWorkspaceRelativePath(uri, workspaceFolder) {
+    if (uri.scheme !== 'file') return null;
+    const relative = path.relative(workspaceFolder, uri.fsPath);
+    if (!relative || relative.startsWith('..') || path.isAbsolute(relative)) return null;
+    return getRelativeFilePath(uri.fsPath, workspaceFolder);
+}
+
+/**
+ * Tagged resources at a path: the file itself or, for a folder, every tagged descendant
+ */
+function getTaggedResourcesUnder(relativePath) {
+    return [...cachedFileTags.keys()]
+        .filter(resource => resource === relativePath || resource.startsWith(`${relativePath}/`));
+}
+
+/**
+ * Keep tags of deleted files for a while so undoing the delete can restore them
+ */
+function rememberDeletedTags(relativeFilePath, tags) {
+    const previous = deletedTagsBuffer.get(relativeFilePath);
+    if (previous) clearTimeout(previous.timer);
+    const timer = setTimeout(() => deletedTagsBuffer.delete(relativeFilePath), DELETE_RESTORE_WINDOW_MS);
+    deletedTagsBuffer.set(relativeFilePath, { tags, timer });
+}
+
+/**
+ * Update the tag database after files or folders are deleted. The whole batch
+ * is rolled back if any `rmresource` call fails.
  */
-async function updateTagDatabaseOnDelete(deletedPath) {
+async function updateTagDatabaseOnDelete(uris) {
+    const workspaceFolder = getWorkspaceFolder();
+    if (!workspaceFolder) return;
+
     try {
-        // Example: call your CLI / internal DB update function
-        const output = await execPromise(`tagfs rmresource ${deletedPath} false`, { cwd: getWorkspaceFolder() });
-        showInfo(output);
-        // Invalidate cache
-        const workspaceFolder = getWorkspaceFolder();
-        if (workspaceFolder) {
-            const relativePath = getRelativeFilePath(deletedPath, workspaceFolder);
-            cachedFileTags.delete(relativePath);
+        await ensureTagIndex(workspaceFolder);
+        const removals = [];
+        for (const uri of uris) {
+            const relativePath = getWorkspaceRelativePath(uri, workspaceFolder);
+            if (!relativePath) continue;
+            for (const resource of getTaggedResourcesUnder(relativePath)) {
+                removals.push({ resource, tags: [...cachedFileTags.get(resource)] });
+            }
+        }
+        if (removals.length === 0) return;
+
+        await withJournalGroup(`Remove tags of ${removals.length} deleted file(s)`, async (group) => {
+            const applied = [];
+            try {
+                for (const removal of removals) {
+                    await getTagBackend({ group }).removeResource(workspaceFolder, removal.resource);
+                    applied.push(removal);
+                }
+            } catch (error) {
+                group.steps = [];
+                for (const removal of applied.reverse()) {
+                    try {
+                        await getTagBackend({ journal: false }).addResource(workspaceFolder, removal.resource);
+                        for (const tag of removal.tags) {
+                            await getTagBackend({ journal: false }).tagResource(workspaceFolder, removal.resource, tag);
+                        }
+                    } catch (e) { /* best effort */ }
+                }
+                throw error;
+            }
+        });
+
+        for (const removal of removals) {
+            indexRemoveResource(removal.resource);
+            rememberDeletedTags(removal.resource, removal.tags);
         }
+        notifyTagDataChanged();
+        showInfo(`HTFS: removed tags of ${removals.length} deleted file(s). Undo the delete to restore them.`);
     } catch (err) {
-        vscode.window.showErrorMessage("Failed to update tag DB: " + err.message);
+        showError(`Failed to update tag DB: ${err.message || err}`);
     }
 }
 
 /**
- * Function to update tag database on file rename
+ * Update the tag database after files or folders are renamed or moved. Folder
+ * renames move every tagged descendant; the whole batch is rolled back if any
+ * `mvresource` call fails.
  */
-async function updateTagDatabaseOnRename(oldPath, newPath) {
+async function updateTagDatabaseOnRename(files) {
+    const workspaceFolder = getWorkspaceFolder();
+    if (!workspaceFolder) return;
+
     try {
-        // Example: call your CLI / internal DB update function
-        const output = await execPromise(`tagfs mvresource ${oldPath} ${newPath} false`, { cwd: getWorkspaceFolder() });
-        showInfo(output);
-        // Invalidate cache for old path
-        const workspaceFolder = getWorkspaceFolder();
-        if (workspaceFolder) {
-            const relativeOldPath = getRelativeFilePath(oldPath, workspaceFolder);
-            cachedFileTags.delete(relativeOldPath);
+        await ensureTagIndex(workspaceFolder);
+        const moves = [];
+        for (const file of files) {
+            const oldRelativePath = getWorkspaceRelativePath(file.oldUri, workspaceFolder);
+            const newRelativePath = getWorkspaceRelativePath(file.newUri, workspaceFolder);
+            if (!oldRelativePath || !newRelativePath) continue;
+            for (const resource of getTaggedResourcesUnder(oldRelativePath)) {
+                moves.push({ from: resource, to: newRelativePath + resource.slice(oldRelativePath.length) });
+            }
         }
+        if (moves.length === 0) return;
+
+        await withJournalGroup(`Move tags of ${moves.length} file(s)`, async (group) => {
+            const applied = [];
+            try {
+                for (const move of moves) {
+                    await getTagBackend({ group }).moveResource(workspaceFolder, move.from, move.to);
+                    applied.push(move);
+                }
+            } catch (error) {
+                group.steps = [];
+                for (const move of applied.reverse()) {
+                    try {
+                        await getTagBackend({ journal: false }).moveResource(workspaceFolder, move.to, move.from);
+                    } catch (e) { /* best effort */ }
+                }
+                throw error;
+            }
+        });
+
+        moves.forEach(move => indexMoveResource(move.from, move.to));
+        notifyTagDataChanged();
+        showInfo(`HTFS: updated tags for ${moves.length} moved file(s).`);
     } catch (err) {
-        vscode.window.showErrorMessage("Failed to update tag DB: " + err.message);
+        showError(`Failed to update tag DB: ${err.message || err}`);
+    }
+}
+
+/**
+ * Re-tag files recreated by undoing a delete, using the restore buffer
+ */
+async function restoreDeletedTags(uris) {
+    const workspaceFolder = getWorkspaceFolder();
+    if (!workspaceFolder || deletedTagsBuffer.size === 0) return;
+
+    let restored = 0;
+    try {
+        await withJournalGroup('Restore tags of deleted files', group => restoreDeletedTagsInGroup(workspaceFolder, uris, group, () => restored++));
+    } catch (err) {
+        showError(`Failed to restore tags: ${err.message || err}`);
+    }
+    if (restored) {
+        notifyTagDataChanged();
+        showInfo(`HTFS: restored tags of ${restored} file(s).`);
+    }
+}
+
+async function restoreDeletedTagsInGroup(workspaceFolder, uris, group, onRestored) {
+    const backend = getTagBackend({ group });
+    for (const uri of uris) {
+        const relativePath = getWorkspaceRelativePath(uri, workspaceFolder);
+        if (!relativePath) continue;
+        const resources = [...deletedTagsBuffer.keys()]
+            .filter(resource => resource === relativePath || resource.startsWith(`${relativePath}/`));
+        for (const resource of resources) {
+            if (!fs.existsSync(resolveResourcePath(workspaceFolder, resource))) continue;
+            const { tags, timer } = deletedTagsBuffer.get(resource);
+            clearTimeout(timer);
+            deletedTagsBuffer.delete(resource);
+            await backend.addResource(workspaceFolder, resource);
+            for (const tag of tags) {
+                await backend.tagResource(workspaceFolder, resource, tag);
+                indexTagResource(resource, tag);
+            }
+            onRestored();
+        }
     }
 }
 
@@ -1050,6 +5628,19 @@ async function tryInitFeatures(context) {
     registerCompletionProvider(context);
     registerTagCompletionCommand(context);
     registerEventListeners(context);
+    registerTagExplorer(context);
+    registerTagFileSystem(context);
+    registerFileDecorations(context);
+    registerSearchView(context);
+    registerTagsPanel(context);
+    registerTagDiagnostics(context);
+    registerTagHover(context);
+    registerTagRename(context);
+    registerTagReferences(context);
+    registerTagAutoExport(context);
+    registerTagDatabaseWatcher(context);
+    registerUntaggedFilesView(context);
+    registerTagHistory(context);
 }
 
 // ============================================================================
@@ -1062,6 +5653,7 @@ async function tryInitFeatures(context) {
  */
 function activate(context) {
     console.log('HTFS extension activated');
+    extensionContext = context;
 
     // Create and show status bar item
     statusBarItem = vscode.window.createStatusBarItem(CONFIG.STATUS_BAR_POSITION, CONFIG.STATUS_BAR_PRIORITY);
@@ -1091,5 +5683,45 @@ function deactivate() {}
 
 module.exports = {
     activate,
-    deactivate
+    deactivate,
+    // Internals exercised by the unit tests in test/
+    _internals: {
+        CliTagBackend,
+        MemoryTagBackend,
+        JournaledTagBackend,
+        getTagBackend,
+        setTagBackend,
+        execPromise,
+        ensureTagIndex,
+        invalidateTagIndex,
+        fetchTags,
+        fetchTagParents,
+        fetchResources,
+        getFileTags,
+        tagFileWithTag,
+        tagfsAddTag,
+        tagfsRenameTag,
+        tagfsDeleteTag,
+        tagfsLinkTags,
+        tagfsMergeTags,
+        tagfsUntagFile,
+        tagfsSyncAllMarkers,
+        tagfsUndoTagChange,
+        tagfsRedoTagChange,
+        updateTagDatabaseOnDelete,
+        updateTagDatabaseOnRename,
+        restoreDeletedTags,
+        createCompletionProvider,
+        registerTagCompletionCommand,
+        registerTagDatabaseWatcher,
+        registerEventListeners,
+        registerTagDiagnostics,
+        TagHoverProvider,
+        registerTagRename,
+        buildTagMarkerRenameEdit,
+        TagWorkspaceSymbolProvider,
+        applyAutoTagRules,
+        tagfsApplyAutoTagRules,
+        promptTagExpression,
+    }
 };
\ No newline at end of file
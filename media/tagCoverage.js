@@ -0,0 +1,132 @@
+// Client script for the HTFS tag coverage webview. All content is rendered
+// through textContent, so tag and file names are never interpreted as HTML.
+(function () {
+    const vscode = acquireVsCodeApi();
+
+    const summaryEl = document.getElementById('summary');
+    const foldersEl = document.getElementById('folders');
+    const topTagsEl = document.getElementById('top-tags');
+    const unusedTagsEl = document.getElementById('unused-tags');
+    const untaggedTitleEl = document.getElementById('untagged-title');
+    const untaggedEl = document.getElementById('untagged');
+
+    function percent(part, total) {
+        return total === 0 ? 0 : Math.round((100 * part) / total);
+    }
+
+    function cell(row, text, className) {
+        const td = document.createElement('td');
+        if (className) td.className = className;
+        if (text !== undefined) td.textContent = text;
+        row.appendChild(td);
+        return td;
+    }
+
+    function meter(value, max) {
+        const el = document.createElement('meter');
+        el.min = 0;
+        el.max = Math.max(max, 1);
+        el.value = value;
+        return el;
+    }
+
+    function empty(container, text, tagName) {
+        const el = document.createElement(tagName || 'span');
+        el.className = 'empty';
+        el.textContent = text;
+        container.appendChild(el);
+    }
+
+    function renderFolders(folders) {
+        foldersEl.replaceChildren();
+        if (folders.length === 0) {
+            const row = foldersEl.insertRow();
+            cell(row, 'No folders', 'empty');
+            return;
+        }
+        folders.forEach(entry => {
+            const row = foldersEl.insertRow();
+            cell(row, `${entry.folder}/`, `folder depth-${entry.depth}`);
+            cell(row).appendChild(meter(entry.tagged, entry.total));
+            cell(row, `${percent(entry.tagged, entry.total)}%`, 'number');
+            cell(row, `${entry.tagged} / ${entry.total}`, 'number muted');
+        });
+    }
+
+    function renderTopTags(topTags, marker) {
+        topTagsEl.replaceChildren();
+        if (topTags.length === 0) {
+            const row = topTagsEl.insertRow();
+            cell(row, 'No tagged files yet', 'empty');
+            return;
+        }
+        const max = topTags[0].count;
+        topTags.forEach(entry => {
+            const row = topTagsEl.insertRow();
+            const link = document.createElement('button');
+            link.className = 'link';
+            link.textContent = `${marker}${entry.tag}`;
+            link.title = `Search files with ${marker}${entry.tag}`;
+            link.addEventListener('click', () => vscode.postMessage({ type: 'search', tag: entry.tag }));
+            cell(row).appendChild(link);
+            cell(row).appendChild(meter(entry.count, max));
+            cell(row, String(entry.count), 'number');
+        });
+    }
+
+    function renderUnusedTags(unusedTags, marker) {
+        unusedTagsEl.replaceChildren();
+        if (unusedTags.length === 0) {
+            empty(unusedTagsEl, 'Every tag has at least one file');
+            return;
+        }
+        unusedTags.forEach(tag => {
+            const chip = document.createElement('span');
+            chip.className = 'chip';
+            chip.textContent = `${marker}${tag}`;
+            unusedTagsEl.appendChild(chip);
+        });
+    }
+
+    function renderUntagged(untagged) {
+        untaggedTitleEl.textContent = `Untagged files (${untagged.length})`;
+        untaggedEl.replaceChildren();
+        if (untagged.length === 0) {
+            empty(untaggedEl, 'Every file has at least one tag', 'li');
+            return;
+        }
+        untagged.forEach(file => {
+            const item = document.createElement('li');
+            const open = document.createElement('button');
+            open.className = 'link';
+            open.textContent = file.replace(/^\.\//, '');
+            open.title = 'Open file';
+            open.addEventListener('click', () => vscode.postMessage({ type: 'open', file }));
+
+            const tag = document.createElement('button');
+            tag.className = 'action';
+            tag.textContent = 'Tag…';
+            tag.title = 'Add a tag to this file';
+            tag.addEventListener('click', () => vscode.postMessage({ type: 'tagFile', file }));
+
+            item.append(open, tag);
+            untaggedEl.appendChild(item);
+        });
+    }
+
+    function render(coverage, marker) {
+        summaryEl.textContent = `${percent(coverage.tagged, coverage.total)}% of files tagged (${coverage.tagged} of ${coverage.total})`;
+        renderFolders(coverage.folders);
+        renderTopTags(coverage.topTags, marker);
+        renderUnusedTags(coverage.unusedTags, marker);
+        renderUntagged(coverage.untagged);
+    }
+
+    document.getElementById('refresh').addEventListener('click', () => vscode.postMessage({ type: 'refresh' }));
+
+    window.addEventListener('message', event => {
+        if (event.data && event.data.type === 'coverage') render(event.data.coverage, event.data.marker || '#');
+    });
+
+    vscode.postMessage({ type: 'ready' });
+}());
@@ -0,0 +1,171 @@
+// Client script for the HTFS tag graph webview: draws the tag DAG as SVG
+// (no external libraries) and supports zoom, pan, click-to-search and
+// drag-to-link.
+(function () {
+    const vscode = acquireVsCodeApi();
+    const SVG_NS = 'http://www.w3.org/2000/svg';
+    const LAYER_HEIGHT = 110;
+    const NODE_SPACING = 140;
+
+    const svg = document.getElementById('graph');
+    const viewport = document.getElementById('viewport');
+    const edgesEl = document.getElementById('edges');
+    const nodesEl = document.getElementById('nodes');
+    const dragLine = document.getElementById('drag-line');
+
+    let transform = { x: 40, y: 40, scale: 1 };
+    let positions = new Map();
+    let pan = null;
+    let drag = null;
+
+    function applyTransform() {
+        viewport.setAttribute('transform', `translate(${transform.x} ${transform.y}) scale(${transform.scale})`);
+    }
+
+    function toGraphPoint(event) {
+        const rect = svg.getBoundingClientRect();
+        return {
+            x: (event.clientX - rect.left - transform.x) / transform.scale,
+            y: (event.clientY - rect.top - transform.y) / transform.scale
+        };
+    }
+
+    function radius(node) {
+        return Math.min(40, 10 + 4 * Math.sqrt(node.count));
+    }
+
+    function layout(nodes) {
+        const layers = new Map();
+        nodes.forEach(node => {
+            if (!layers.has(node.layer)) layers.set(node.layer, []);
+            layers.get(node.layer).push(node);
+        });
+        const widest = Math.max(1, ...[...layers.values()].map(layer => layer.length));
+        positions = new Map();
+        for (const [layer, layerNodes] of layers) {
+            const offset = ((widest - layerNodes.length) * NODE_SPACING) / 2;
+            layerNodes.forEach((node, index) => {
+                positions.set(node.id, { x: offset + index * NODE_SPACING, y: layer * LAYER_HEIGHT });
+            });
+        }
+    }
+
+    function render(graph) {
+        layout(graph.nodes);
+        edgesEl.replaceChildren();
+        nodesEl.replaceChildren();
+
+        for (const edge of graph.edges) {
+            const from = positions.get(edge.parent);
+            const to = positions.get(edge.child);
+            if (!from || !to) continue;
+            const line = document.createElementNS(SVG_NS, 'path');
+            const midY = (from.y + to.y) / 2;
+            line.setAttribute('d', `M ${from.x} ${from.y} C ${from.x} ${midY}, ${to.x} ${midY}, ${to.x} ${to.y}`);
+            line.setAttribute('class', edge.cycle ? 'edge cycle' : 'edge');
+            edgesEl.appendChild(line);
+        }
+
+        for (const node of graph.nodes) {
+            const pos = positions.get(node.id);
+            const group = document.createElementNS(SVG_NS, 'g');
+            group.setAttribute('class', ['node', node.cycle ? 'cycle' : '', node.orphan ? 'orphan' : ''].join(' ').trim());
+            group.setAttribute('transform', `translate(${pos.x} ${pos.y})`);
+            group.dataset.tag = node.id;
+
+            const circle = document.createElementNS(SVG_NS, 'circle');
+            circle.setAttribute('r', radius(node));
+            const title = document.createElementNS(SVG_NS, 'title');
+            title.textContent = `${node.id}: ${node.count} file(s)${node.cycle ? ' — part of a cycle' : ''}${node.orphan ? ' — orphan' : ''}`;
+            circle.appendChild(title);
+            group.appendChild(circle);
+
+            const label = document.createElementNS(SVG_NS, 'text');
+            label.setAttribute('y', radius(node) + 14);
+            label.textContent = node.id;
+            group.appendChild(label);
+
+            group.addEventListener('mousedown', event => {
+                event.stopPropagation();
+                drag = { tag: node.id, start: toGraphPoint(event), moved: false };
+            });
+            nodesEl.appendChild(group);
+        }
+    }
+
+    function nodeAt(event) {
+        const element = document.elementFromPoint(event.clientX, event.clientY);
+        const group = element && element.closest('.node');
+        return group ? group.dataset.tag : null;
+    }
+
+    svg.addEventListener('mousedown', event => {
+        pan = { x: event.clientX - transform.x, y: event.clientY - transform.y };
+        svg.classList.add('panning');
+    });
+
+    window.addEventListener('mousemove', event => {
+        if (drag) {
+            const point = toGraphPoint(event);
+            const origin = positions.get(drag.tag);
+            drag.moved = drag.moved || Math.hypot(point.x - drag.start.x, point.y - drag.start.y) > 4;
+            if (drag.moved) {
+                dragLine.setAttribute('x1', origin.x);
+                dragLine.setAttribute('y1', origin.y);
+                dragLine.setAttribute('x2', point.x);
+                dragLine.setAttribute('y2', point.y);
+                dragLine.classList.remove('hidden');
+                document.querySelectorAll('.node.drop-target').forEach(el => el.classList.remove('drop-target'));
+                const target = nodeAt(event);
+                if (target && target !== drag.tag) {
+                    const targetEl = nodesEl.querySelector(`.node[data-tag="${CSS.escape(target)}"]`);
+                    if (targetEl) targetEl.classList.add('drop-target');
+                }
+            }
+        } else if (pan) {
+            transform.x = event.clientX - pan.x;
+            transform.y = event.clientY - pan.y;
+            applyTransform();
+        }
+    });
+
+    window.addEventListener('mouseup', event => {
+        if (drag) {
+            if (!drag.moved) {
+                vscode.postMessage({ type: 'search', tag: drag.tag });
+            } else {
+                // Dropping a node onto another makes the dragged tag a child of the target
+                const target = nodeAt(event);
+                if (target && target !== drag.tag) {
+                    vscode.postMessage({ type: 'link', child: drag.tag, parent: target });
+                }
+            }
+            dragLine.classList.add('hidden');
+            document.querySelectorAll('.node.drop-target').forEach(el => el.classList.remove('drop-target'));
+            drag = null;
+        }
+        pan = null;
+        svg.classList.remove('panning');
+    });
+
+    svg.addEventListener('wheel', event => {
+        event.preventDefault();
+        const rect = svg.getBoundingClientRect();
+        const cx = event.clientX - rect.left;
+        const cy = event.clientY - rect.top;
+        const factor = event.deltaY < 0 ? 1.1 : 1 / 1.1;
+        const scale = Math.min(4, Math.max(0.2, transform.scale * factor));
+        // Zoom around the cursor position
+        transform.x = cx - ((cx - transform.x) * scale) / transform.scale;
+        transform.y = cy - ((cy - transform.y) * scale) / transform.scale;
+        transform.scale = scale;
+        applyTransform();
+    }, { passive: false });
+
+    window.addEventListener('message', event => {
+        if (event.data && event.data.type === 'graph') render(event.data.graph);
+    });
+
+    applyTransform();
+    vscode.postMessage({ type: 'ready' });
+}());
@@ -0,0 +1,86 @@
+// Client script for the HTFS tags panel webview. All content is rendered
+// through textContent, so tag and file names are never interpreted as HTML.
+(function () {
+    const vscode = acquireVsCodeApi();
+    let marker = document.body.dataset.tagMarker || '#';
+
+    const fileEl = document.getElementById('file');
+    const directEl = document.getElementById('direct-tags');
+    const inheritedEl = document.getElementById('inherited-tags');
+    const formEl = document.getElementById('add-form');
+    const inputEl = document.getElementById('add-input');
+    const suggestionsEl = document.getElementById('tag-suggestions');
+
+    function createChip(tag, removable) {
+        const chip = document.createElement('span');
+        chip.className = removable ? 'chip' : 'chip inherited';
+
+        const label = document.createElement('button');
+        label.textContent = `${marker}${tag}`;
+        label.title = `Search files with ${marker}${tag}`;
+        label.addEventListener('click', () => vscode.postMessage({ type: 'search', tag }));
+        chip.appendChild(label);
+
+        if (removable) {
+            const remove = document.createElement('button');
+            remove.className = 'remove';
+            remove.textContent = '×';
+            remove.title = `Remove ${marker}${tag} from this file`;
+            remove.addEventListener('click', () => vscode.postMessage({ type: 'removeTag', tag }));
+            chip.appendChild(remove);
+        }
+        return chip;
+    }
+
+    function renderChips(container, tags, removable, emptyText) {
+        container.replaceChildren();
+        if (tags.length === 0) {
+            const empty = document.createElement('span');
+            empty.className = 'empty';
+            empty.textContent = emptyText;
+            container.appendChild(empty);
+            return;
+        }
+        tags.forEach(tag => container.appendChild(createChip(tag, removable)));
+    }
+
+    function render(state) {
+        if (!state.file) {
+            fileEl.textContent = 'No file selected';
+            directEl.replaceChildren();
+            inheritedEl.replaceChildren();
+            formEl.hidden = true;
+            return;
+        }
+
+        marker = state.marker || marker;
+        fileEl.textContent = state.file;
+        fileEl.title = state.relativePath;
+        formEl.hidden = false;
+        renderChips(directEl, state.tags, true, 'No tags');
+        renderChips(inheritedEl, state.inherited, false, 'None');
+
+        suggestionsEl.replaceChildren();
+        state.allTags
+            .filter(tag => !state.tags.includes(tag))
+            .forEach(tag => {
+                const option = document.createElement('option');
+                option.value = tag;
+                suggestionsEl.appendChild(option);
+            });
+    }
+
+    formEl.addEventListener('submit', event => {
+        event.preventDefault();
+        const tag = inputEl.value.trim();
+        if (!tag) return;
+        vscode.postMessage({ type: 'addTag', tag });
+        inputEl.value = '';
+    });
+
+    window.addEventListener('message', event => {
+        if (event.data && event.data.type === 'update') render(event.data);
+    });
+
+    vscode.postMessage({ type: 'ready' });
+}());
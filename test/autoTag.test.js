@@ -0,0 +1,55 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { vscode, internals, ui, setupWorkspace, writeFiles } = require('./helpers/extension');
+
+test('a rule tag removed from a file is not added back on save', async () => {
+    const { workspaceFolder, backend } = await setupWorkspace();
+    ui.settings['tagfs.autoTagRules'] = [{ pattern: '**/*.test.js', tags: ['test'] }];
+    writeFiles(workspaceFolder, ['a.test.js']);
+    const uri = vscode.Uri.file(path.join(workspaceFolder, 'a.test.js'));
+    const document = { uri, fileName: uri.fsPath, languageId: 'javascript' };
+
+    await internals.applyAutoTagRules([{ uri, document }]);
+    assert.deepEqual(await backend.getResourceTags(workspaceFolder, './a.test.js'), ['test']);
+
+    await internals.tagfsUntagFile('test', uri.fsPath);
+    await internals.applyAutoTagRules([{ uri, document }]);
+    assert.deepEqual(await backend.getResourceTags(workspaceFolder, './a.test.js'), []);
+});
+
+test('created files are not opened to match language rules', async () => {
+    const { workspaceFolder, backend } = await setupWorkspace();
+    ui.settings['tagfs.autoTagRules'] = [
+        { languages: ['python'], tags: ['python'] },
+        { pattern: 'docs/**', tags: ['documentation'] },
+    ];
+    writeFiles(workspaceFolder, ['docs/guide.py']);
+    vscode.registered.openedDocuments = [];
+
+    await internals.applyAutoTagRules([{ uri: vscode.Uri.file(path.join(workspaceFolder, 'docs', 'guide.py')) }]);
+
+    assert.deepEqual(vscode.registered.openedDocuments, []);
+    assert.deepEqual(await backend.getResourceTags(workspaceFolder, './docs/guide.py'), ['documentation']);
+});
+
+test('the workspace preview scans a capped file list outside files.exclude', async () => {
+    const { workspaceFolder, backend } = await setupWorkspace();
+    ui.settings['tagfs.autoTagRules'] = [{ pattern: '**/*.test.js', tags: ['test'] }];
+    writeFiles(workspaceFolder, ['a.test.js', 'b.js']);
+    const findFiles = vscode.workspace.findFiles;
+    const calls = [];
+    vscode.workspace.findFiles = (...args) => {
+        calls.push(args);
+        return findFiles.apply(vscode.workspace, args);
+    };
+    try {
+        await internals.tagfsApplyAutoTagRules();
+    } finally {
+        vscode.workspace.findFiles = findFiles;
+    }
+
+    assert.deepEqual(calls, [['**/*', undefined, 10000]]);
+    // The preview was dismissed, so nothing is tagged
+    assert.deepEqual(await backend.getResourceTags(workspaceFolder, './a.test.js'), []);
+});
@@ -0,0 +1,86 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { internals, context, setupWorkspace, seed } = require('./helpers/extension');
+
+test('MemoryTagBackend evaluates tag expressions', async () => {
+    const { workspaceFolder, backend } = await setupWorkspace();
+    await seed(backend, workspaceFolder, {
+        tags: ['backend', 'api', 'db', 'legacy'],
+        resources: {
+            './server.js': ['backend', 'api'],
+            './store.js': ['backend', 'db'],
+            './old.js': ['backend', 'api', 'legacy'],
+            './README.md': [],
+        },
+    });
+
+    assert.deepEqual(await backend.search(workspaceFolder, 'api'), ['./old.js', './server.js']);
+    assert.deepEqual(await backend.search(workspaceFolder, 'backend & (api | db) & ~legacy'), ['./server.js', './store.js']);
+    assert.deepEqual(await backend.search(workspaceFolder, '~backend'), ['./README.md']);
+    assert.deepEqual(await backend.search(workspaceFolder, 'unknown'), []);
+    await assert.rejects(backend.search(workspaceFolder, 'api & (db'), /Missing closing/);
+});
+
+test('MemoryTagBackend matches files through the tag hierarchy', async () => {
+    const { workspaceFolder, backend } = await setupWorkspace();
+    await seed(backend, workspaceFolder, {
+        tags: ['project', 'backend', 'api', 'db'],
+        links: [['backend', 'project'], ['api', 'backend']],
+        resources: { './server.js': ['api'], './store.js': ['db'] },
+    });
+
+    assert.deepEqual(await backend.search(workspaceFolder, 'backend'), ['./server.js']);
+    assert.deepEqual(await backend.search(workspaceFolder, 'project & ~db'), ['./server.js']);
+    assert.deepEqual(await backend.search(workspaceFolder, '~backend'), ['./store.js']);
+    assert.deepEqual(await backend.getResourceTags(workspaceFolder, './server.js'), ['api']);
+
+    // The index keeps direct tags and answers tag lookups through the hierarchy
+    assert.deepEqual(await internals.getFileTags(workspaceFolder, './server.js'), ['api']);
+    assert.deepEqual(await internals.fetchResources(workspaceFolder, 'project'), ['./server.js']);
+});
+
+test('MemoryTagBackend keeps links and resources consistent', async () => {
+    const { workspaceFolder, backend } = await setupWorkspace();
+    await seed(backend, workspaceFolder, {
+        tags: ['project', 'backend', 'api'],
+        links: [['backend', 'project'], ['api', 'backend']],
+        resources: { './server.js': ['api'] },
+    });
+
+    await backend.renameTag(workspaceFolder, 'backend', 'server');
+    assert.deepEqual(await backend.getTagParents(workspaceFolder, 'api'), ['server']);
+    assert.deepEqual(await backend.getTagParents(workspaceFolder, 'server'), ['project']);
+    await assert.rejects(backend.renameTag(workspaceFolder, 'api', 'project'), /already exists/);
+
+    await backend.removeTag(workspaceFolder, 'server');
+    assert.deepEqual(await backend.getTagParents(workspaceFolder, 'api'), []);
+    assert.deepEqual(await backend.listTags(workspaceFolder), ['project', 'api']);
+
+    await backend.moveResource(workspaceFolder, './server.js', './src/server.js');
+    assert.deepEqual(await backend.getResourceTags(workspaceFolder, 'src/server.js'), ['api']);
+    await assert.rejects(backend.moveResource(workspaceFolder, './server.js', './x.js'), /not tracked/);
+    await assert.rejects(backend.tagResource(workspaceFolder, './x.js', 'missing'), /does not exist/);
+});
+
+test('JournaledTagBackend records inverses only for real changes', async () => {
+    const { workspaceFolder } = await setupWorkspace();
+    const backend = internals.getTagBackend();
+    await internals.ensureTagIndex(workspaceFolder);
+
+    await backend.addTags(workspaceFolder, ['api']);
+    await backend.tagResource(workspaceFolder, './a.js', 'api');
+    const journal = context.workspaceState.get('tagfs.journal');
+    assert.deepEqual(journal.undo.map(entry => entry.steps[0].inverse), [
+        [['rmtags', 'api']],
+        [['untagresource', './a.js', 'api']],
+    ]);
+
+    // Read-only calls and failed changes leave no entry
+    await backend.listTags(workspaceFolder);
+    await assert.rejects(backend.linkTags(workspaceFolder, 'api', 'missing'));
+    assert.equal(context.workspaceState.get('tagfs.journal').undo.length, 2);
+
+    // The unwrapped backend bypasses the journal
+    await internals.getTagBackend({ journal: false }).addTags(workspaceFolder, ['db']);
+    assert.equal(context.workspaceState.get('tagfs.journal').undo.length, 2);
+});
@@ -0,0 +1,39 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { internals, setupWorkspace } = require('./helpers/extension');
+const { installFakeTagfs } = require('./helpers/fakeTagfs');
+
+async function setupCli() {
+    const { workspaceFolder } = await setupWorkspace();
+    const calls = installFakeTagfs(workspaceFolder);
+    internals.setTagBackend(new internals.CliTagBackend());
+    return { workspaceFolder, calls };
+}
+
+test('moves and removals only touch the tags, with names passed verbatim', { skip: process.platform === 'win32' }, async () => {
+    const { workspaceFolder, calls } = await setupCli();
+    const backend = internals.getTagBackend({ journal: false });
+
+    await backend.moveResource(workspaceFolder, './$(a).txt', './b;c.txt');
+    await backend.removeResource(workspaceFolder, './a|b.txt');
+
+    assert.deepEqual(calls(), [
+        ['mvresource', './$(a).txt', './b;c.txt', 'false'],
+        ['rmresource', './a|b.txt', 'false'],
+    ]);
+});
+
+test('tag expressions are passed as one argument and the output is parsed', { skip: process.platform === 'win32' }, async () => {
+    const { workspaceFolder, calls } = await setupCli();
+
+    const resources = await internals.getTagBackend().search(workspaceFolder, 'a & (b | c) & ~d');
+
+    assert.deepEqual(resources, ['./a b.txt', './c.txt']);
+    assert.deepEqual(calls(), [['lsresources', 'a & (b | c) & ~d']]);
+});
+
+test('tagfs errors reject with its stderr', { skip: process.platform === 'win32' }, async () => {
+    const { workspaceFolder } = await setupCli();
+
+    await assert.rejects(internals.getTagBackend().removeTag(workspaceFolder, 'x'), error => error === 'tag is locked');
+});
@@ -0,0 +1,244 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { internals, context, ui, setupWorkspace, seed } = require('./helpers/extension');
+
+test('tagfsAddTag creates the tag and updates the cached tag list', async () => {
+    const { workspaceFolder, backend } = await setupWorkspace();
+    await internals.fetchTags(workspaceFolder);
+
+    ui.inputs.push('backend');
+    await internals.tagfsAddTag();
+
+    assert.deepEqual(await backend.listTags(workspaceFolder), ['backend']);
+    assert.deepEqual(await internals.fetchTags(workspaceFolder), ['backend']);
+    assert.deepEqual(ui.errors, []);
+});
+
+test('the tag index is loaded once and kept up to date by tag operations', async () => {
+    const { workspaceFolder, backend } = await setupWorkspace();
+    await seed(backend, workspaceFolder, { tags: ['api', 'db'], resources: { './a.js': ['api'] } });
+
+    let searches = 0;
+    const search = backend.search.bind(backend);
+    backend.search = (...args) => {
+        searches++;
+        return search(...args);
+    };
+
+    assert.deepEqual(await internals.getFileTags(workspaceFolder, './a.js'), ['api']);
+    const loadSearches = searches;
+    assert.equal(loadSearches, 2);
+
+    assert.equal(await internals.tagFileWithTag(workspaceFolder, './a.js', 'db', { silent: true }), true);
+    assert.deepEqual(await internals.getFileTags(workspaceFolder, './a.js'), ['api', 'db']);
+    assert.deepEqual(await internals.fetchResources(workspaceFolder, 'api & db'), ['./a.js']);
+    assert.equal(searches, loadSearches, 'answered from the index');
+
+    // Expressions the index cannot answer go to the backend
+    assert.deepEqual(await internals.fetchResources(workspaceFolder, 'api & ~db'), []);
+    assert.equal(searches, loadSearches + 1);
+
+    // Changes made behind the extension's back show up after invalidation
+    await backend.untagResource(workspaceFolder, './a.js', 'api');
+    internals.invalidateTagIndex();
+    assert.deepEqual(await internals.getFileTags(workspaceFolder, './a.js'), ['db']);
+});
+
+test('the index keeps direct tags a file also has through a child tag', async () => {
+    const { workspaceFolder, backend } = await setupWorkspace();
+    await seed(backend, workspaceFolder, {
+        tags: ['backend', 'api'],
+        links: [['api', 'backend']],
+        resources: { './server.js': ['backend', 'api'], './client.js': ['api'] },
+    });
+
+    assert.deepEqual(await internals.getFileTags(workspaceFolder, './server.js'), ['backend', 'api']);
+    assert.deepEqual(await internals.getFileTags(workspaceFolder, './client.js'), ['api']);
+    assert.deepEqual(await internals.fetchResources(workspaceFolder, 'backend'), ['./server.js', './client.js']);
+
+    await internals.tagfsUntagFile('backend', path.join(workspaceFolder, 'server.js'));
+    assert.deepEqual(await backend.getResourceTags(workspaceFolder, './server.js'), ['api']);
+    assert.deepEqual(await internals.getFileTags(workspaceFolder, './server.js'), ['api']);
+});
+
+test('tagfsRenameTag renames the tag in the backend, index and hierarchy', async () => {
+    const { workspaceFolder, backend } = await setupWorkspace();
+    await seed(backend, workspaceFolder, {
+        tags: ['backend', 'api'],
+        links: [['api', 'backend']],
+        resources: { './a.js': ['backend'] },
+    });
+    await internals.fetchTagParents(workspaceFolder);
+
+    ui.inputs.push('server');
+    await internals.tagfsRenameTag({ tag: 'backend' });
+
+    assert.deepEqual(await backend.listTags(workspaceFolder), ['server', 'api']);
+    assert.deepEqual(await internals.getFileTags(workspaceFolder, './a.js'), ['server']);
+    assert.deepEqual((await internals.fetchTagParents(workspaceFolder)).get('api'), ['server']);
+});
+
+test('tagfsRenameTag rejects names that already exist', async () => {
+    const { workspaceFolder, backend } = await setupWorkspace();
+    await seed(backend, workspaceFolder, { tags: ['backend', 'api'] });
+
+    ui.inputs.push('api');
+    await internals.tagfsRenameTag({ tag: 'backend' });
+
+    assert.deepEqual(ui.rejectedInputs, ["Tag 'api' already exists."]);
+    assert.deepEqual(await backend.listTags(workspaceFolder), ['backend', 'api']);
+});
+
+test('tagfsDeleteTag only deletes after confirmation', async () => {
+    const { workspaceFolder, backend } = await setupWorkspace();
+    await seed(backend, workspaceFolder, { tags: ['api'], resources: { './a.js': ['api'] } });
+
+    ui.warnings.push(undefined);
+    await internals.tagfsDeleteTag({ tag: 'api' });
+    assert.deepEqual(await backend.listTags(workspaceFolder), ['api']);
+
+    ui.warnings.push('Delete');
+    await internals.tagfsDeleteTag({ tag: 'api' });
+    assert.deepEqual(await backend.listTags(workspaceFolder), []);
+    assert.deepEqual(await internals.getFileTags(workspaceFolder, './a.js'), []);
+});
+
+test('delete and merge confirmations count files tagged through a child tag', async () => {
+    const { workspaceFolder, backend } = await setupWorkspace();
+    await seed(backend, workspaceFolder, {
+        tags: ['backend', 'api', 'server'],
+        links: [['api', 'backend']],
+        resources: { './a.js': ['backend'], './b.js': ['api'], './c.js': ['api'] },
+    });
+
+    ui.warnings.push(undefined);
+    await internals.tagfsDeleteTag({ tag: 'backend' });
+    ui.quickPicks.push('server');
+    ui.warnings.push(undefined);
+    await internals.tagfsMergeTags({ tag: 'backend' });
+
+    assert.deepEqual(ui.warningMessages, [
+        "Delete tag 'backend'? 3 file(s) would lose this tag.",
+        "Merge 'backend' into 'server'? 3 file(s) will be tagged 'server' and 'backend' will be deleted.",
+    ]);
+});
+
+test('tagfsLinkTags links the picked child under the picked parent', async () => {
+    const { workspaceFolder, backend } = await setupWorkspace();
+    await seed(backend, workspaceFolder, { tags: ['backend', 'api'] });
+    await internals.fetchTagParents(workspaceFolder);
+
+    ui.quickPicks.push('api', 'backend');
+    await internals.tagfsLinkTags();
+
+    assert.deepEqual(await backend.getTagParents(workspaceFolder, 'api'), ['backend']);
+    assert.deepEqual((await internals.fetchTagParents(workspaceFolder)).get('api'), ['backend']);
+});
+
+test('tagfsMergeTags retags files, carries links over and deletes the source', async () => {
+    const { workspaceFolder, backend } = await setupWorkspace();
+    await seed(backend, workspaceFolder, {
+        tags: ['project', 'server', 'backend', 'http'],
+        links: [['server', 'project'], ['http', 'server']],
+        resources: { './a.js': ['server'], './b.js': ['backend'] },
+    });
+
+    ui.quickPicks.push('backend');
+    ui.warnings.push('Merge');
+    await internals.tagfsMergeTags({ tag: 'server' });
+
+    assert.deepEqual(await backend.listTags(workspaceFolder), ['project', 'backend', 'http']);
+    assert.deepEqual(await backend.search(workspaceFolder, 'backend'), ['./a.js', './b.js']);
+    assert.deepEqual(await backend.getTagParents(workspaceFolder, 'backend'), ['project']);
+    assert.deepEqual(await backend.getTagParents(workspaceFolder, 'http'), ['backend']);
+    assert.deepEqual(await internals.getFileTags(workspaceFolder, './a.js'), ['backend']);
+});
+
+test('tagfsUntagFile removes a tag from the given file', async () => {
+    const { workspaceFolder, backend } = await setupWorkspace();
+    await seed(backend, workspaceFolder, { tags: ['api', 'db'], resources: { './src/a.js': ['api', 'db'] } });
+
+    await internals.tagfsUntagFile('api', path.join(workspaceFolder, 'src', 'a.js'));
+
+    assert.deepEqual(await backend.getResourceTags(workspaceFolder, './src/a.js'), ['db']);
+    assert.deepEqual(await internals.getFileTags(workspaceFolder, './src/a.js'), ['db']);
+});
+
+test('backend errors are reported instead of thrown', async () => {
+    const { workspaceFolder, backend } = await setupWorkspace();
+    await seed(backend, workspaceFolder, { tags: ['api'] });
+
+    const ok = await internals.tagFileWithTag(workspaceFolder, './a.js', 'missing');
+
+    assert.equal(ok, false);
+    assert.deepEqual(ui.errors, ["HTFS error: Tag 'missing' does not exist"]);
+});
+
+test('undo and redo replay a merge as one history entry', async () => {
+    const { workspaceFolder, backend } = await setupWorkspace();
+    await seed(backend, workspaceFolder, {
+        tags: ['server', 'backend'],
+        resources: { './a.js': ['server'] },
+    });
+
+    ui.quickPicks.push('backend');
+    ui.warnings.push('Merge');
+    await internals.tagfsMergeTags({ tag: 'server' });
+    assert.deepEqual(await backend.listTags(workspaceFolder), ['backend']);
+
+    await internals.tagfsUndoTagChange();
+    assert.deepEqual((await backend.listTags(workspaceFolder)).sort(), ['backend', 'server']);
+    assert.deepEqual(await backend.getResourceTags(workspaceFolder, './a.js'), ['server']);
+    assert.deepEqual(await internals.getFileTags(workspaceFolder, './a.js'), ['server']);
+
+    await internals.tagfsRedoTagChange();
+    assert.deepEqual(await backend.listTags(workspaceFolder), ['backend']);
+    assert.deepEqual(await internals.getFileTags(workspaceFolder, './a.js'), ['backend']);
+
+    await internals.tagfsRedoTagChange();
+    assert.deepEqual(ui.info.slice(-1), ['No tag changes to redo.']);
+});
+
+test('changes made while a merge runs get their own history entry', async () => {
+    const { workspaceFolder, backend } = await setupWorkspace();
+    await seed(backend, workspaceFolder, {
+        tags: ['server', 'backend', 'api'],
+        resources: { './a.js': ['server'] },
+    });
+
+    // e.g. a file saved and auto-tagged while the merge retags a.js
+    let saved = null;
+    const tagResource = backend.tagResource.bind(backend);
+    backend.tagResource = (...args) => {
+        if (!saved) saved = internals.tagFileWithTag(workspaceFolder, './b.js', 'api', { silent: true });
+        return tagResource(...args);
+    };
+    ui.quickPicks.push('backend');
+    ui.warnings.push('Merge');
+    await internals.tagfsMergeTags({ tag: 'server' });
+    await saved;
+
+    const { undo } = context.workspaceState.get('tagfs.journal');
+    assert.deepEqual(undo.map(entry => entry.label).sort(), ['Merge #server into #backend', 'Tag b.js with #api']);
+});
+
+test('a failed undo stays on the undo stack and keeps changes recorded meanwhile', async () => {
+    const { workspaceFolder, backend } = await setupWorkspace();
+    await seed(backend, workspaceFolder, { tags: ['api', 'db'] });
+    await internals.tagFileWithTag(workspaceFolder, './a.js', 'api', { silent: true });
+
+    const untagResource = backend.untagResource.bind(backend);
+    backend.untagResource = async () => {
+        // e.g. a file saved and auto-tagged while the undo runs
+        await internals.tagFileWithTag(workspaceFolder, './b.js', 'db', { silent: true });
+        throw new Error('database is locked');
+    };
+    await internals.tagfsUndoTagChange();
+    backend.untagResource = untagResource;
+
+    const { undo, redo } = context.workspaceState.get('tagfs.journal');
+    assert.deepEqual(undo.map(entry => entry.label), ['Tag a.js with #api', 'Tag b.js with #db']);
+    assert.deepEqual(redo, []);
+    assert.match(ui.errors.at(-1), /1 step\(s\) failed/);
+});
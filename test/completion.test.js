@@ -0,0 +1,93 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { vscode, internals, context, ui, setupWorkspace, seed } = require('./helpers/extension');
+
+function createDocument(fileName, text) {
+    const lines = text.split('\n');
+    return {
+        fileName,
+        uri: vscode.Uri.file(fileName),
+        languageId: 'javascript',
+        getText: () => text,
+        lineAt: position => ({ text: lines[position.line] }),
+        positionAt: offset => {
+            const before = text.slice(0, offset).split('\n');
+            return new vscode.Position(before.length - 1, before[before.length - 1].length);
+        },
+    };
+}
+
+async function complete(trigger, document, position) {
+    const registration = internals.createCompletionProvider(trigger);
+    try {
+        const { provider, triggerCharacters } = vscode.registered.completionProviders.at(-1);
+        const list = await provider.provideCompletionItems(document, position);
+        return { list, triggerCharacters };
+    } finally {
+        registration.dispose();
+    }
+}
+
+test('completion offers every tag after the trigger', async () => {
+    const { workspaceFolder, backend } = await setupWorkspace();
+    await seed(backend, workspaceFolder, { tags: ['api', 'db'] });
+    const document = createDocument(path.join(workspaceFolder, 'a.js'), '// see ##');
+
+    const { list, triggerCharacters } = await complete('##', document, new vscode.Position(0, 9));
+
+    assert.deepEqual(triggerCharacters, ['#']);
+    assert.deepEqual(list.items.map(item => item.label), ['api', 'db']);
+    const [item] = list.items;
+    assert.equal(item.insertText, 'api');
+    assert.equal(item.filterText, '##api');
+    assert.deepEqual([item.range.start.character, item.range.end.character], [7, 9]);
+    assert.deepEqual(item.command.arguments, ['api']);
+});
+
+test('completion keeps the marker when content tagging is on', async () => {
+    const { workspaceFolder, backend } = await setupWorkspace();
+    await seed(backend, workspaceFolder, { tags: ['api'] });
+    ui.settings['tagfs.contentTagging.enabled'] = true;
+    ui.settings['tagfs.contentTagging.marker'] = '@';
+    const document = createDocument(path.join(workspaceFolder, 'a.js'), '// ;;');
+
+    const { list, triggerCharacters } = await complete(';;', document, new vscode.Position(0, 5));
+
+    assert.deepEqual(triggerCharacters, [';']);
+    assert.equal(list.items[0].insertText, '@api');
+});
+
+test('completion stays quiet without the trigger or when disabled', async () => {
+    const { workspaceFolder, backend } = await setupWorkspace();
+    await seed(backend, workspaceFolder, { tags: ['api'] });
+    const document = createDocument(path.join(workspaceFolder, 'a.js'), '// see #');
+
+    assert.deepEqual((await complete('##', document, new vscode.Position(0, 8))).list, []);
+
+    ui.settings['tagfs.completion.enabled'] = false;
+    const tagged = createDocument(path.join(workspaceFolder, 'a.js'), '##');
+    assert.deepEqual((await complete('##', tagged, new vscode.Position(0, 2))).list, []);
+});
+
+test('completion shows a placeholder when there are no tags', async () => {
+    const { workspaceFolder } = await setupWorkspace();
+    const document = createDocument(path.join(workspaceFolder, 'a.js'), '##');
+
+    const { list } = await complete('##', document, new vscode.Position(0, 2));
+
+    assert.deepEqual(list.items.map(item => item.label), ['(no tags found)']);
+});
+
+test('accepting a completion tags the active file', async () => {
+    const { workspaceFolder, backend } = await setupWorkspace();
+    await seed(backend, workspaceFolder, { tags: ['api'] });
+    internals.registerTagCompletionCommand(context);
+    const document = createDocument(path.join(workspaceFolder, 'src', 'a.js'), 'api');
+    vscode.window.activeTextEditor = { document, setDecorations() {} };
+
+    await vscode.commands.executeCommand('tagfs.applyTagFromCompletion', 'api');
+
+    assert.deepEqual(await backend.getResourceTags(workspaceFolder, './src/a.js'), ['api']);
+    assert.deepEqual(await internals.getFileTags(workspaceFolder, './src/a.js'), ['api']);
+});
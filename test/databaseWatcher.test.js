@@ -0,0 +1,155 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { vscode, internals, context, ui, setupWorkspace, seed } = require('./helpers/extension');
+const { installFakeTagfs } = require('./helpers/fakeTagfs');
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+const settle = () => wait(700);
+
+function createEditor(fileName, text) {
+    const editor = {
+        calls: 0,
+        document: {
+            fileName,
+            uri: vscode.Uri.file(fileName),
+            languageId: 'javascript',
+            getText: () => text,
+            positionAt: offset => new vscode.Position(0, offset),
+        },
+        setDecorations() { editor.calls++; },
+    };
+    return editor;
+}
+
+test('external database changes reload the index and refresh editors and lenses', async () => {
+    const { workspaceFolder, backend } = await setupWorkspace();
+    await seed(backend, workspaceFolder, { tags: ['api', 'db'], resources: { './a.js': ['api'] } });
+    internals.registerEventListeners(context);
+    internals.registerTagDatabaseWatcher(context);
+
+    const watcher = vscode.registered.fileSystemWatchers.at(-1);
+    assert.equal(watcher.pattern.base, workspaceFolder);
+    assert.equal(watcher.pattern.pattern, '{.tagfs,.tagfs/**}');
+
+    let lensRefreshes = 0;
+    vscode.registered.codeLensProviders.at(-1).onDidChangeCodeLenses(() => lensRefreshes++);
+    const editors = [
+        createEditor(path.join(workspaceFolder, 'a.js'), 'uses api and db'),
+        createEditor(path.join(workspaceFolder, 'b.js'), ''),
+    ];
+    vscode.window.visibleTextEditors = editors;
+
+    assert.deepEqual(await internals.getFileTags(workspaceFolder, './a.js'), ['api']);
+
+    // `tagfs tagresource ./a.js db` in a terminal; bursts of events reload once
+    await backend.tagResource(workspaceFolder, './a.js', 'db');
+    watcher._onDidChange.fire(vscode.Uri.file(path.join(workspaceFolder, '.tagfs', 'db')));
+    watcher._onDidChange.fire(vscode.Uri.file(path.join(workspaceFolder, '.tagfs', 'db')));
+    await settle();
+
+    assert.deepEqual(await internals.getFileTags(workspaceFolder, './a.js'), ['api', 'db']);
+    assert.equal(lensRefreshes, 1);
+    assert.ok(editors.every(editor => editor.calls > 0), 'every visible editor is redecorated');
+    vscode.window.visibleTextEditors = [];
+});
+
+test('an empty watch pattern disables the watcher', async () => {
+    await setupWorkspace();
+    ui.settings['tagfs.database.watchPattern'] = '';
+    const before = vscode.registered.fileSystemWatchers.length;
+
+    internals.registerTagDatabaseWatcher(context);
+
+    assert.equal(vscode.registered.fileSystemWatchers.length, before);
+});
+
+test('changes while a tagfs read runs are not taken for own writes', async () => {
+    const { workspaceFolder, backend } = await setupWorkspace();
+    await seed(backend, workspaceFolder, { tags: ['api', 'db'], resources: { './a.js': ['api'] } });
+    installFakeTagfs(workspaceFolder);
+    process.env.FAKE_TAGFS_DELAY = '300';
+    internals.registerTagDatabaseWatcher(context);
+    const watcher = vscode.registered.fileSystemWatchers.at(-1);
+    assert.deepEqual(await internals.getFileTags(workspaceFolder, './a.js'), ['api']);
+
+    try {
+        const read = internals.execPromise(['lstags'], { cwd: workspaceFolder });
+        await wait(100);
+        await backend.tagResource(workspaceFolder, './a.js', 'db');
+        watcher._onDidChange.fire(vscode.Uri.file(path.join(workspaceFolder, '.tagfs', 'db')));
+        await read;
+        await settle();
+    } finally {
+        delete process.env.FAKE_TAGFS_DELAY;
+    }
+
+    assert.deepEqual(await internals.getFileTags(workspaceFolder, './a.js'), ['api', 'db']);
+});
+
+test('changes around an own write are reloaded only if the database changed after it', async () => {
+    const { workspaceFolder, backend } = await setupWorkspace();
+    await seed(backend, workspaceFolder, { tags: ['api', 'db'], resources: { './a.js': ['api'] } });
+    installFakeTagfs(workspaceFolder);
+    const database = path.join(workspaceFolder, '.tagfs', 'db');
+    fs.mkdirSync(path.dirname(database));
+    fs.writeFileSync(database, '');
+    const past = new Date(Date.now() - 10000);
+    fs.utimesSync(database, past, past);
+    internals.registerTagDatabaseWatcher(context);
+    const watcher = vscode.registered.fileSystemWatchers.at(-1);
+    assert.deepEqual(await internals.getFileTags(workspaceFolder, './a.js'), ['api']);
+
+    // The event of an own write: checked again after the grace window, not reloaded
+    process.env.FAKE_TAGFS_DELAY = '300';
+    try {
+        const write = internals.execPromise(['addresource', './b.js'], { cwd: workspaceFolder });
+        await wait(100);
+        await backend.tagResource(workspaceFolder, './a.js', 'db');
+        watcher._onDidChange.fire(vscode.Uri.file(database));
+        await write;
+    } finally {
+        delete process.env.FAKE_TAGFS_DELAY;
+    }
+    await wait(1000);
+    await settle();
+    assert.deepEqual(await internals.getFileTags(workspaceFolder, './a.js'), ['api']);
+
+    // An external write right after an own one is picked up once the window has passed
+    await internals.execPromise(['addresource', './c.js'], { cwd: workspaceFolder });
+    await wait(20);
+    fs.writeFileSync(database, 'changed');
+    watcher._onDidChange.fire(vscode.Uri.file(database));
+    await wait(1000);
+    await settle();
+    assert.deepEqual(await internals.getFileTags(workspaceFolder, './a.js'), ['api', 'db']);
+});
+
+test('tagfs reads made by a reload do not trigger another reload', async () => {
+    const { workspaceFolder } = await setupWorkspace();
+    const calls = installFakeTagfs(workspaceFolder);
+    internals.setTagBackend(new internals.CliTagBackend());
+    const database = path.join(workspaceFolder, '.tagfs', 'db');
+    fs.mkdirSync(path.dirname(database));
+    fs.writeFileSync(database, '');
+    const past = new Date(Date.now() - 10000);
+    fs.utimesSync(database, past, past);
+    internals.registerTagDatabaseWatcher(context);
+    const watcher = vscode.registered.fileSystemWatchers.at(-1);
+
+    process.env.FAKE_TAGFS_DELAY = '300';
+    try {
+        watcher._onDidChange.fire(vscode.Uri.file(database));
+        // The reload's `tagfs lstags` is running and touches the database
+        await wait(650);
+        fs.writeFileSync(database, 'touched');
+        watcher._onDidChange.fire(vscode.Uri.file(database));
+        await wait(1000);
+        await settle();
+    } finally {
+        delete process.env.FAKE_TAGFS_DELAY;
+    }
+
+    assert.equal(calls().filter(args => args[0] === 'lstags').length, 1);
+});
@@ -0,0 +1,61 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { vscode, internals, context, ui, setupWorkspace, seed } = require('./helpers/extension');
+
+const settle = () => new Promise(resolve => setTimeout(resolve, 700));
+
+function createDocument(fileName, text) {
+    return {
+        fileName,
+        uri: vscode.Uri.file(fileName),
+        languageId: 'plaintext',
+        getText: () => text,
+        positionAt: offset => new vscode.Position(0, offset),
+    };
+}
+
+test('diagnostics are off unless enabled', async () => {
+    const { workspaceFolder, backend } = await setupWorkspace();
+    await seed(backend, workspaceFolder, { tags: ['api'] });
+    internals.registerTagDiagnostics(context);
+    const collection = vscode.registered.diagnosticCollections.at(-1);
+    const document = createDocument(path.join(workspaceFolder, 'a.txt'), 'see #nope');
+
+    vscode.workspaceEvents.didOpenTextDocument.fire(document);
+    await settle();
+
+    assert.equal(collection.get(document.uri), undefined);
+});
+
+test('edits to different documents are each diagnosed', async () => {
+    const { workspaceFolder, backend } = await setupWorkspace();
+    await seed(backend, workspaceFolder, { tags: ['api'] });
+    ui.settings['tagfs.diagnostics.enabled'] = true;
+    internals.registerTagDiagnostics(context);
+    const collection = vscode.registered.diagnosticCollections.at(-1);
+    const a = createDocument(path.join(workspaceFolder, 'a.txt'), 'see #nope');
+    const b = createDocument(path.join(workspaceFolder, 'b.txt'), 'see #api');
+
+    // Typing in b right after a must not cancel a's pending update
+    vscode.workspaceEvents.didChangeTextDocument.fire({ document: a });
+    vscode.workspaceEvents.didChangeTextDocument.fire({ document: b });
+    await settle();
+
+    assert.deepEqual(collection.get(a.uri).map(d => d.message), ["Unknown tag 'nope'."]);
+    assert.deepEqual(collection.get(b.uri).map(d => d.message), ["Tag 'api' is not applied to this file."]);
+});
+
+test('a marker for a tag the file has through a child tag is applied', async () => {
+    const { workspaceFolder, backend } = await setupWorkspace();
+    await seed(backend, workspaceFolder, { tags: ['backend', 'api', 'db'], links: [['api', 'backend']], resources: { './a.txt': ['api'] } });
+    ui.settings['tagfs.diagnostics.enabled'] = true;
+    internals.registerTagDiagnostics(context);
+    const collection = vscode.registered.diagnosticCollections.at(-1);
+    const document = createDocument(path.join(workspaceFolder, 'a.txt'), 'see #backend #db');
+
+    vscode.workspaceEvents.didOpenTextDocument.fire(document);
+    await settle();
+
+    assert.deepEqual(collection.get(document.uri).map(d => d.message), ["Tag 'db' is not applied to this file."]);
+});
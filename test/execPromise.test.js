@@ -0,0 +1,51 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { internals, setupWorkspace } = require('./helpers/extension');
+const { installFakeTagfs } = require('./helpers/fakeTagfs');
+
+const SHELL_NAMES = [
+    'two words.txt',
+    "it's.txt",
+    'say "hi".txt',
+    '$HOME.txt',
+    '$(touch pwned).txt',
+    '`touch pwned`.txt',
+    'a;touch pwned.txt',
+    'a|cat.txt',
+    'a&b.txt',
+    'a>b.txt',
+    '*.txt',
+];
+
+test('file names with shell metacharacters reach tagfs verbatim', { skip: process.platform === 'win32' }, async () => {
+    const { workspaceFolder } = await setupWorkspace();
+    const calls = installFakeTagfs(workspaceFolder);
+
+    for (const name of SHELL_NAMES) {
+        await internals.execPromise(['tagresource', `./${name}`, 'tag'], { cwd: workspaceFolder });
+    }
+    await internals.execPromise(['mvresource', './$(a).txt', './b;c.txt', 'false'], { cwd: workspaceFolder });
+
+    assert.deepEqual(calls(), [
+        ...SHELL_NAMES.map(name => ['tagresource', `./${name}`, 'tag']),
+        ['mvresource', './$(a).txt', './b;c.txt', 'false'],
+    ]);
+    assert.equal(fs.existsSync(path.join(workspaceFolder, 'pwned')), false);
+});
+
+test('calls run one at a time and a failure does not stop the queue', { skip: process.platform === 'win32' }, async () => {
+    const { workspaceFolder } = await setupWorkspace();
+    const calls = installFakeTagfs(workspaceFolder);
+
+    const results = await Promise.allSettled([
+        internals.execPromise(['addtags', 'a;b'], { cwd: workspaceFolder }),
+        internals.execPromise(['rmtags', 'a;b'], { cwd: workspaceFolder }),
+        internals.execPromise(['lsresources', 'a | b'], { cwd: workspaceFolder }),
+    ]);
+
+    assert.deepEqual(results.map(result => result.status), ['fulfilled', 'rejected', 'fulfilled']);
+    assert.equal(results[1].reason, 'tag is locked');
+    assert.deepEqual(calls(), [['addtags', 'a;b'], ['rmtags', 'a;b'], ['lsresources', 'a | b']]);
+});
@@ -0,0 +1,73 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { vscode, internals, ui, setupWorkspace, writeFiles, seed } = require('./helpers/extension');
+
+const fileUri = (workspaceFolder, file) => vscode.Uri.file(path.join(workspaceFolder, file));
+
+test('renaming a folder moves the tags of every tagged file inside', async () => {
+    const { workspaceFolder, backend } = await setupWorkspace();
+    await seed(backend, workspaceFolder, {
+        tags: ['api'],
+        resources: { './src/a.js': ['api'], './src/lib/b.js': ['api'], './srcx.js': ['api'] },
+    });
+
+    await internals.updateTagDatabaseOnRename([
+        { oldUri: fileUri(workspaceFolder, 'src'), newUri: fileUri(workspaceFolder, 'app') },
+    ]);
+
+    assert.deepEqual(await backend.search(workspaceFolder, 'api'), ['./app/a.js', './app/lib/b.js', './srcx.js']);
+    assert.deepEqual(await internals.getFileTags(workspaceFolder, './app/lib/b.js'), ['api']);
+    assert.deepEqual(await internals.getFileTags(workspaceFolder, './src/a.js'), []);
+});
+
+test('a failed move rolls the whole batch back', async () => {
+    const { workspaceFolder, backend } = await setupWorkspace();
+    await seed(backend, workspaceFolder, {
+        tags: ['api'],
+        resources: { './a.js': ['api'], './b.js': ['api'] },
+    });
+    await internals.ensureTagIndex(workspaceFolder);
+    // Another client untracks b.js after the index was loaded
+    await backend.removeResource(workspaceFolder, './b.js');
+
+    await internals.updateTagDatabaseOnRename([
+        { oldUri: fileUri(workspaceFolder, 'a.js'), newUri: fileUri(workspaceFolder, 'c.js') },
+        { oldUri: fileUri(workspaceFolder, 'b.js'), newUri: fileUri(workspaceFolder, 'd.js') },
+    ]);
+
+    assert.deepEqual(await backend.search(workspaceFolder, 'api'), ['./a.js']);
+    assert.match(ui.errors[0], /Failed to update tag DB/);
+});
+
+test('deleting files removes their tags until the delete is undone', async () => {
+    const { workspaceFolder, backend } = await setupWorkspace();
+    await seed(backend, workspaceFolder, {
+        tags: ['api', 'db'],
+        resources: { './src/a.js': ['api', 'db'], './other.js': ['db'] },
+    });
+
+    await internals.updateTagDatabaseOnDelete([fileUri(workspaceFolder, 'src')]);
+    assert.deepEqual(await backend.search(workspaceFolder, 'api | db'), ['./other.js']);
+    assert.deepEqual(await internals.getFileTags(workspaceFolder, './src/a.js'), []);
+
+    // Undoing the delete recreates the file; its tags come back
+    writeFiles(workspaceFolder, ['src/a.js']);
+    await internals.restoreDeletedTags([fileUri(workspaceFolder, 'src')]);
+    assert.deepEqual(await backend.getResourceTags(workspaceFolder, './src/a.js'), ['api', 'db']);
+    assert.deepEqual(await internals.getFileTags(workspaceFolder, './src/a.js'), ['api', 'db']);
+    assert.ok(fs.existsSync(path.join(workspaceFolder, 'src', 'a.js')));
+});
+
+test('files outside the workspace are ignored', async () => {
+    const { workspaceFolder, backend } = await setupWorkspace();
+    await seed(backend, workspaceFolder, { tags: ['api'], resources: { './a.js': ['api'] } });
+
+    await internals.updateTagDatabaseOnRename([
+        { oldUri: vscode.Uri.file(path.join(workspaceFolder, '..', 'a.js')), newUri: fileUri(workspaceFolder, 'b.js') },
+    ]);
+
+    assert.deepEqual(await backend.search(workspaceFolder, 'api'), ['./a.js']);
+    assert.deepEqual(ui.info, []);
+});
@@ -0,0 +1,94 @@
+// Loads extension.js with the `vscode` stub and provides a fresh temporary
+// workspace backed by the in-memory tag backend for each test.
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Module = require('module');
+const vscode = require('./vscode');
+
+const originalLoad = Module._load;
+Module._load = function (request, ...rest) {
+    return request === 'vscode' ? vscode : originalLoad.call(this, request, ...rest);
+};
+const extension = require('../../extension');
+Module._load = originalLoad;
+
+const internals = extension._internals;
+const workspaceFolders = [];
+process.on('exit', () => {
+    workspaceFolders.forEach(folder => fs.rmSync(folder, { recursive: true, force: true }));
+});
+
+function createMemento() {
+    const values = new Map();
+    return {
+        get: (key, defaultValue) => (values.has(key) ? values.get(key) : defaultValue),
+        update: async (key, value) => {
+            if (value === undefined) values.delete(key);
+            else values.set(key, value);
+        },
+        keys: () => [...values.keys()],
+    };
+}
+
+const context = {
+    subscriptions: [],
+    workspaceState: createMemento(),
+    globalState: createMemento(),
+    extensionUri: vscode.Uri.file(path.join(__dirname, '..', '..')),
+};
+// `tagfs.path` is unset, so activation only sets up the status bar and the journal storage
+extension.activate(context);
+
+/**
+ * Fresh workspace folder on disk, empty in-memory backend, cleared prompts and history
+ */
+async function setupWorkspace() {
+    const workspaceFolder = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'htfs-test-')));
+    workspaceFolders.push(workspaceFolder);
+    vscode.workspace.workspaceFolders = [{ uri: vscode.Uri.file(workspaceFolder), name: 'test', index: 0 }];
+    vscode.window.activeTextEditor = undefined;
+    vscode.ui.reset();
+    await context.workspaceState.update('tagfs.journal', undefined);
+    await context.workspaceState.update('tagfs.markerTags', undefined);
+    await context.workspaceState.update('tagfs.autoTags', undefined);
+
+    const backend = new internals.MemoryTagBackend();
+    internals.setTagBackend(backend);
+    return { workspaceFolder, backend };
+}
+
+/**
+ * Create files (relative paths) inside the workspace
+ */
+function writeFiles(workspaceFolder, files) {
+    for (const file of files) {
+        const filePath = path.join(workspaceFolder, file);
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        fs.writeFileSync(filePath, '');
+    }
+}
+
+/**
+ * Seed a backend directly: { tags: [], links: [[child, parent]], resources: { './file': [tags] } }
+ */
+async function seed(backend, workspaceFolder, { tags = [], links = [], resources = {} }) {
+    await backend.addTags(workspaceFolder, tags);
+    for (const [child, parent] of links) await backend.linkTags(workspaceFolder, child, parent);
+    for (const [resource, resourceTags] of Object.entries(resources)) {
+        await backend.addResource(workspaceFolder, resource);
+        for (const tag of resourceTags) await backend.tagResource(workspaceFolder, resource, tag);
+    }
+}
+
+module.exports = {
+    vscode,
+    ui: vscode.ui,
+    extension,
+    internals,
+    context,
+    setupWorkspace,
+    writeFiles,
+    seed,
+};
@@ -0,0 +1,35 @@
+// Stand-in `tagfs` executable for the CLI tests: it appends its arguments to
+// a log, prints canned output for `lsresources` and fails on `rmtags`.
+// FAKE_TAGFS_DELAY (ms) keeps every call running that long.
+
+const fs = require('fs');
+const path = require('path');
+const { ui } = require('./vscode');
+
+const FAKE_TAGFS = `#!/usr/bin/env node
+const fs = require('fs');
+const args = process.argv.slice(2);
+fs.appendFileSync(process.env.FAKE_TAGFS_LOG, JSON.stringify(args) + '\\n');
+if (process.env.FAKE_TAGFS_DELAY) Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, Number(process.env.FAKE_TAGFS_DELAY));
+if (args[0] === 'lsresources') process.stdout.write('./a b.txt\\r\\n\\n./c.txt\\n');
+if (args[0] === 'rmtags') {
+    process.stderr.write('tag is locked');
+    process.exit(1);
+}
+`;
+
+/**
+ * Install the fake tagfs in the workspace and point `tagfs.path` at it;
+ * returns a function listing the argument arrays it was called with
+ */
+function installFakeTagfs(workspaceFolder) {
+    const executable = path.join(workspaceFolder, 'fake-tagfs');
+    fs.writeFileSync(executable, FAKE_TAGFS, { mode: 0o755 });
+    const log = path.join(workspaceFolder, 'calls.log');
+    fs.writeFileSync(log, '');
+    process.env.FAKE_TAGFS_LOG = log;
+    ui.settings['tagfs.path'] = executable;
+    return () => fs.readFileSync(log, 'utf8').split('\n').filter(Boolean).map(line => JSON.parse(line));
+}
+
+module.exports = { installFakeTagfs };
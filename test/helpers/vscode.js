@@ -0,0 +1,471 @@
+// Minimal stand-in for the `vscode` module so extension.js loads under plain
+// Node. Only the API surface the tests reach is implemented; prompts are
+// answered from the queues in `ui`.
+
+const fs = require('fs');
+const path = require('path');
+
+const ui = {
+    quickPicks: [],
+    inputs: [],
+    warnings: [],
+    // Messages shown by showWarningMessage, e.g. confirmations
+    warningMessages: [],
+    info: [],
+    errors: [],
+    rejectedInputs: [],
+    // Results of workspace.applyEdit; true (applied) when empty
+    editResults: [],
+    settings: {},
+    reset() {
+        this.quickPicks = [];
+        this.inputs = [];
+        this.warnings = [];
+        this.warningMessages = [];
+        this.info = [];
+        this.errors = [];
+        this.rejectedInputs = [];
+        this.editResults = [];
+        this.settings = {};
+    },
+};
+
+class Disposable {
+    constructor(callOnDispose = () => {}) {
+        this._callOnDispose = callOnDispose;
+    }
+
+    dispose() {
+        this._callOnDispose();
+    }
+}
+
+class EventEmitter {
+    constructor() {
+        this._listeners = [];
+        this.event = (listener) => {
+            this._listeners.push(listener);
+            return new Disposable(() => {
+                this._listeners = this._listeners.filter(l => l !== listener);
+            });
+        };
+    }
+
+    fire(data) {
+        [...this._listeners].forEach(listener => listener(data));
+    }
+
+    dispose() {
+        this._listeners = [];
+    }
+}
+
+class Uri {
+    constructor(scheme, fsPath) {
+        this.scheme = scheme;
+        this.fsPath = fsPath;
+        this.path = fsPath.replace(/\\/g, '/');
+    }
+
+    static file(fsPath) {
+        return new Uri('file', path.resolve(fsPath));
+    }
+
+    static joinPath(base, ...segments) {
+        return new Uri(base.scheme, path.join(base.fsPath, ...segments));
+    }
+
+    toString() {
+        return `${this.scheme}://${this.path}`;
+    }
+}
+
+class Position {
+    constructor(line, character) {
+        this.line = line;
+        this.character = character;
+    }
+
+    translate(lineDelta = 0, characterDelta = 0) {
+        return new Position(this.line + lineDelta, this.character + characterDelta);
+    }
+}
+
+class Range {
+    constructor(start, end) {
+        this.start = start;
+        this.end = end;
+    }
+}
+
+class CompletionItem {
+    constructor(label, kind) {
+        this.label = label;
+        this.kind = kind;
+    }
+}
+
+class CompletionList {
+    constructor(items = [], isIncomplete = false) {
+        this.items = items;
+        this.isIncomplete = isIncomplete;
+    }
+}
+
+class TreeItem {
+    constructor(label, collapsibleState) {
+        this.label = label;
+        this.collapsibleState = collapsibleState;
+    }
+}
+
+class ThemeIcon {
+    constructor(id, color) {
+        this.id = id;
+        this.color = color;
+    }
+}
+ThemeIcon.Folder = new ThemeIcon('folder');
+ThemeIcon.File = new ThemeIcon('file');
+
+class ThemeColor {
+    constructor(id) {
+        this.id = id;
+    }
+}
+
+class MarkdownString {
+    constructor(value = '') {
+        this.value = value;
+    }
+
+    appendMarkdown(value) {
+        this.value += value;
+        return this;
+    }
+}
+
+class WorkspaceEdit {
+    constructor() {
+        this.edits = [];
+    }
+
+    get size() {
+        return new Set(this.edits.map(edit => edit.uri.toString())).size;
+    }
+
+    replace(uri, range, newText, metadata) {
+        this.edits.push({ uri, range, newText, metadata });
+    }
+}
+
+class Location {
+    constructor(uri, rangeOrPosition) {
+        this.uri = uri;
+        this.range = rangeOrPosition;
+    }
+}
+
+class SymbolInformation {
+    constructor(name, kind, containerName, location) {
+        this.name = name;
+        this.kind = kind;
+        this.containerName = containerName;
+        this.location = location;
+    }
+}
+
+class Hover {
+    constructor(contents, range) {
+        this.contents = contents;
+        this.range = range;
+    }
+}
+
+class RelativePattern {
+    constructor(base, pattern) {
+        this.base = base;
+        this.pattern = pattern;
+    }
+}
+
+class FileSystemWatcher {
+    constructor(pattern) {
+        this.pattern = pattern;
+        this.disposed = false;
+        this._onDidCreate = new EventEmitter();
+        this._onDidChange = new EventEmitter();
+        this._onDidDelete = new EventEmitter();
+        this.onDidCreate = this._onDidCreate.event;
+        this.onDidChange = this._onDidChange.event;
+        this.onDidDelete = this._onDidDelete.event;
+    }
+
+    dispose() {
+        this.disposed = true;
+    }
+}
+
+class Diagnostic {
+    constructor(range, message, severity) {
+        this.range = range;
+        this.message = message;
+        this.severity = severity;
+    }
+}
+
+class FileSystemError extends Error {
+    static FileNotFound(uri) { return new FileSystemError(`FileNotFound: ${uri}`); }
+    static FileExists(uri) { return new FileSystemError(`FileExists: ${uri}`); }
+    static FileNotADirectory(uri) { return new FileSystemError(`FileNotADirectory: ${uri}`); }
+    static FileIsADirectory(uri) { return new FileSystemError(`FileIsADirectory: ${uri}`); }
+    static NoPermissions(message) { return new FileSystemError(`NoPermissions: ${message}`); }
+    static Unavailable(message) { return new FileSystemError(`Unavailable: ${message}`); }
+}
+
+const registered = {
+    commands: new Map(),
+    completionProviders: [],
+    codeLensProviders: [],
+    fileSystemWatchers: [],
+    diagnosticCollections: [],
+    quickPicks: [],
+    renameProviders: [],
+    appliedEdits: [],
+    openedDocuments: [],
+};
+
+const disposable = () => new Disposable();
+
+function offsetAt(text, position) {
+    return text.split('\n').slice(0, position.line)
+        .reduce((offset, line) => offset + line.length + 1, 0) + position.character;
+}
+
+function positionAt(text, offset) {
+    const before = text.slice(0, offset).split('\n');
+    return new Position(before.length - 1, before[before.length - 1].length);
+}
+
+// Workspace events tests can fire, e.g. workspaceEvents.didChangeTextDocument.fire({ document })
+const workspaceEvents = {
+    didOpenTextDocument: new EventEmitter(),
+    didChangeTextDocument: new EventEmitter(),
+    didCloseTextDocument: new EventEmitter(),
+};
+
+const window = {
+    activeTextEditor: undefined,
+    visibleTextEditors: [],
+    async showQuickPick() { return ui.quickPicks.shift(); },
+    async showInputBox(options = {}) {
+        const value = ui.inputs.shift();
+        // The real input box cannot be accepted while validation fails; the user has to cancel
+        const error = value !== undefined && options.validateInput ? options.validateInput(value) : null;
+        if (error) {
+            ui.rejectedInputs.push(error);
+            return undefined;
+        }
+        return value;
+    },
+    async showWarningMessage(message) {
+        ui.warningMessages.push(message);
+        return ui.warnings.shift();
+    },
+    async showInformationMessage(message) { ui.info.push(message); },
+    async showErrorMessage(message) { ui.errors.push(message); },
+    // Tests drive it through value, items and the _on* emitters
+    createQuickPick() {
+        const quickPick = {
+            value: '',
+            items: [],
+            activeItems: [],
+            _onDidChangeValue: new EventEmitter(),
+            _onDidAccept: new EventEmitter(),
+            _onDidHide: new EventEmitter(),
+            show() {},
+            hide() { quickPick._onDidHide.fire(); },
+            dispose() {},
+        };
+        quickPick.onDidChangeValue = quickPick._onDidChangeValue.event;
+        quickPick.onDidAccept = quickPick._onDidAccept.event;
+        quickPick.onDidHide = quickPick._onDidHide.event;
+        registered.quickPicks.push(quickPick);
+        return quickPick;
+    },
+    setStatusBarMessage: disposable,
+    async withProgress(options, task) {
+        const token = { isCancellationRequested: false, onCancellationRequested: disposable };
+        return task({ report() {} }, token);
+    },
+    createStatusBarItem() {
+        return { text: '', tooltip: '', command: undefined, show() {}, hide() {}, dispose() {} };
+    },
+    createTextEditorDecorationType() { return { dispose() {} }; },
+    onDidChangeActiveTextEditor: disposable,
+};
+
+const workspace = {
+    workspaceFolders: [],
+    textDocuments: [],
+    getConfiguration(section) {
+        return {
+            get(key, defaultValue) {
+                const value = ui.settings[section ? `${section}.${key}` : key];
+                return value === undefined ? defaultValue : value;
+            },
+            async update(key, value) {
+                ui.settings[section ? `${section}.${key}` : key] = value;
+            },
+        };
+    },
+    asRelativePath(pathOrUri) {
+        const fsPath = typeof pathOrUri === 'string' ? pathOrUri : pathOrUri.fsPath;
+        const folder = workspace.workspaceFolders[0];
+        return folder ? path.relative(folder.uri.fsPath, fsPath).replace(/\\/g, '/') : fsPath;
+    },
+    fs: {
+        async stat(uri) {
+            const stat = await fs.promises.stat(uri.fsPath);
+            return { type: stat.isDirectory() ? 2 : 1, size: stat.size, ctime: stat.ctimeMs, mtime: stat.mtimeMs };
+        },
+        async readFile(uri) {
+            return new Uint8Array(await fs.promises.readFile(uri.fsPath));
+        },
+    },
+    // Every file in the first workspace folder, up to maxResults
+    async findFiles(include, exclude, maxResults = Infinity) {
+        const folder = workspace.workspaceFolders[0];
+        if (!folder) return [];
+        const files = [];
+        const walk = (dir) => {
+            for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+                const entryPath = path.join(dir, entry.name);
+                if (entry.isDirectory()) walk(entryPath);
+                else files.push(Uri.file(entryPath));
+            }
+        };
+        walk(folder.uri.fsPath);
+        return files.sort((a, b) => a.fsPath.localeCompare(b.fsPath)).slice(0, maxResults);
+    },
+    async openTextDocument(uri) {
+        const text = fs.readFileSync(uri.fsPath, 'utf8');
+        const document = {
+            uri,
+            fileName: uri.fsPath,
+            languageId: 'plaintext',
+            getText: () => text,
+            positionAt: offset => positionAt(text, offset),
+        };
+        registered.openedDocuments.push(document);
+        return document;
+    },
+    // Writes the replacements to disk unless the queued result is false
+    async applyEdit(edit) {
+        registered.appliedEdits.push(edit);
+        const applied = ui.editResults.length ? ui.editResults.shift() : true;
+        if (!applied) return false;
+        for (const uri of new Set(edit.edits.map(e => e.uri.fsPath))) {
+            const text = fs.readFileSync(uri, 'utf8');
+            const replacements = edit.edits.filter(e => e.uri.fsPath === uri)
+                .map(e => ({ start: offsetAt(text, e.range.start), end: offsetAt(text, e.range.end), newText: e.newText }))
+                .sort((a, b) => b.start - a.start);
+            fs.writeFileSync(uri, replacements.reduce((result, r) => result.slice(0, r.start) + r.newText + result.slice(r.end), text));
+        }
+        return true;
+    },
+    createFileSystemWatcher(pattern) {
+        const watcher = new FileSystemWatcher(pattern);
+        registered.fileSystemWatchers.push(watcher);
+        return watcher;
+    },
+    onDidChangeConfiguration: disposable,
+    onDidChangeWorkspaceFolders: disposable,
+    onDidOpenTextDocument: workspaceEvents.didOpenTextDocument.event,
+    onDidChangeTextDocument: workspaceEvents.didChangeTextDocument.event,
+    onDidCloseTextDocument: workspaceEvents.didCloseTextDocument.event,
+    onDidSaveTextDocument: disposable,
+    onDidCreateFiles: disposable,
+    onDidDeleteFiles: disposable,
+    onDidRenameFiles: disposable,
+};
+
+const languages = {
+    registerCompletionItemProvider(selector, provider, ...triggerCharacters) {
+        const entry = { selector, provider, triggerCharacters };
+        registered.completionProviders.push(entry);
+        return new Disposable(() => {
+            registered.completionProviders = registered.completionProviders.filter(e => e !== entry);
+        });
+    },
+    createDiagnosticCollection(name) {
+        const entries = new Map();
+        const collection = {
+            name,
+            get: uri => entries.get(uri.toString()),
+            set: (uri, diagnostics) => entries.set(uri.toString(), diagnostics),
+            delete: uri => entries.delete(uri.toString()),
+            dispose: () => entries.clear(),
+        };
+        registered.diagnosticCollections.push(collection);
+        return collection;
+    },
+    registerCodeActionsProvider: disposable,
+    registerRenameProvider(selector, provider) {
+        registered.renameProviders.push(provider);
+        return new Disposable();
+    },
+    registerCodeLensProvider(selector, provider) {
+        registered.codeLensProviders.push(provider);
+        return new Disposable();
+    },
+};
+
+const commands = {
+    registerCommand(id, callback) {
+        registered.commands.set(id, callback);
+        return new Disposable(() => registered.commands.delete(id));
+    },
+    async executeCommand(id, ...args) {
+        const callback = registered.commands.get(id);
+        return callback ? callback(...args) : undefined;
+    },
+};
+
+module.exports = {
+    ui,
+    registered,
+    Disposable,
+    EventEmitter,
+    Uri,
+    Position,
+    Range,
+    CompletionItem,
+    CompletionList,
+    TreeItem,
+    ThemeIcon,
+    ThemeColor,
+    MarkdownString,
+    WorkspaceEdit,
+    Location,
+    SymbolInformation,
+    Hover,
+    RelativePattern,
+    Diagnostic,
+    workspaceEvents,
+    FileSystemError,
+    window,
+    workspace,
+    languages,
+    commands,
+    StatusBarAlignment: { Left: 1, Right: 2 },
+    ProgressLocation: { SourceControl: 1, Window: 10, Notification: 15 },
+    CompletionItemKind: { Text: 0 },
+    SymbolKind: { File: 0, Key: 19 },
+    DiagnosticSeverity: { Error: 0, Warning: 1, Information: 2, Hint: 3 },
+    CodeActionKind: { QuickFix: 'quickfix' },
+    TreeItemCollapsibleState: { None: 0, Collapsed: 1, Expanded: 2 },
+    ConfigurationTarget: { Global: 1, Workspace: 2, WorkspaceFolder: 3 },
+    FileType: { Unknown: 0, File: 1, Directory: 2, SymbolicLink: 64 },
+    DecorationRangeBehavior: { OpenOpen: 0, ClosedClosed: 1, OpenClosed: 2, ClosedOpen: 3 },
+};
@@ -0,0 +1,34 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { vscode, internals, setupWorkspace, seed } = require('./helpers/extension');
+
+function createDocument(fileName, text) {
+    return {
+        fileName,
+        uri: vscode.Uri.file(fileName),
+        languageId: 'plaintext',
+        getText: range => range ? text.slice(range.start.character, range.end.character) : text,
+        getWordRangeAtPosition: (position, pattern) => {
+            const match = new RegExp(pattern.source, 'gu').exec(text);
+            return match && new vscode.Range(new vscode.Position(0, match.index), new vscode.Position(0, match.index + match[0].length));
+        },
+    };
+}
+
+test('the hover escapes tag names and only trusts its own commands', async () => {
+    const { workspaceFolder, backend } = await setupWorkspace();
+    await seed(backend, workspaceFolder, {
+        tags: ['backend', 'api_v1'],
+        links: [['api_v1', 'backend']],
+        resources: { './a.txt': ['backend'] },
+    });
+    const document = createDocument(path.join(workspaceFolder, 'a.txt'), '#backend');
+
+    const hover = await new internals.TagHoverProvider().provideHover(document, new vscode.Position(0, 2));
+
+    assert.match(hover.contents.value, /Children: \\#api\\_v1\n/);
+    assert.deepEqual(hover.contents.isTrusted, {
+        enabledCommands: ['tagfs.searchbytag', 'tagfs.untagFile', 'tagfs.renametag', 'tagfs.revealTag'],
+    });
+});
@@ -0,0 +1,23 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { vscode, internals, ui, setupWorkspace, writeFiles } = require('./helpers/extension');
+
+test('syncing all markers only opens text files that contain a marker', async () => {
+    const { workspaceFolder, backend } = await setupWorkspace();
+    ui.settings['tagfs.contentTagging.enabled'] = true;
+    ui.settings['tagfs.contentTagging.applyWithoutPreview'] = true;
+    writeFiles(workspaceFolder, ['plain.txt']);
+    fs.writeFileSync(path.join(workspaceFolder, 'notes.md'), 'todo #backend\n');
+    fs.writeFileSync(path.join(workspaceFolder, 'image.png'), Buffer.from([0x89, 0x50, 0x00, 0x23, 0x61]));
+    fs.writeFileSync(path.join(workspaceFolder, 'big.log'), `#huge ${'x'.repeat(2 * 1024 * 1024)}`);
+    vscode.registered.openedDocuments = [];
+
+    await internals.tagfsSyncAllMarkers();
+
+    assert.deepEqual(vscode.registered.openedDocuments.map(doc => path.basename(doc.fileName)), ['notes.md']);
+    assert.deepEqual(await backend.listTags(workspaceFolder), ['backend']);
+    assert.deepEqual(await backend.getResourceTags(workspaceFolder, './notes.md'), ['backend']);
+    assert.deepEqual(ui.errors, []);
+});
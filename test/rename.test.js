@@ -0,0 +1,67 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { vscode, internals, context, ui, setupWorkspace, seed } = require('./helpers/extension');
+
+function createDocument(fileName, text) {
+    return {
+        fileName,
+        uri: vscode.Uri.file(fileName),
+        languageId: 'plaintext',
+        getText: () => text,
+        offsetAt: position => position.character,
+        positionAt: offset => new vscode.Position(0, offset),
+    };
+}
+
+test('tagfsRenameTag leaves the database alone when the marker edit is discarded', async () => {
+    const { workspaceFolder, backend } = await setupWorkspace();
+    await seed(backend, workspaceFolder, { tags: ['backend'] });
+    const notes = path.join(workspaceFolder, 'notes.md');
+    fs.writeFileSync(notes, 'see #backend\n');
+
+    ui.inputs.push('server');
+    ui.editResults.push(false);
+    await internals.tagfsRenameTag({ tag: 'backend' });
+    assert.deepEqual(await backend.listTags(workspaceFolder), ['backend']);
+    assert.equal(fs.readFileSync(notes, 'utf8'), 'see #backend\n');
+
+    ui.inputs.push('server');
+    await internals.tagfsRenameTag({ tag: 'backend' });
+    assert.deepEqual(await backend.listTags(workspaceFolder), ['server']);
+    assert.equal(fs.readFileSync(notes, 'utf8'), 'see #server\n');
+});
+
+test('F2 renames the tag in the database only once its edit is applied', async () => {
+    const { workspaceFolder, backend } = await setupWorkspace();
+    await seed(backend, workspaceFolder, { tags: ['backend'] });
+    const notes = path.join(workspaceFolder, 'notes.md');
+    fs.writeFileSync(notes, 'see #backend');
+    internals.registerTagRename(context);
+    const provider = vscode.registered.renameProviders.at(-1);
+
+    const edit = await provider.provideRenameEdits(createDocument(notes, 'see #backend'), new vscode.Position(0, 6), 'server');
+    assert.equal(edit.size, 1);
+    assert.deepEqual(await backend.listTags(workspaceFolder), ['backend']);
+
+    // An unrelated change to the document does not count as applying the edit
+    await provider.handleDocumentChange(createDocument(notes, 'see #backend!'));
+    assert.deepEqual(await backend.listTags(workspaceFolder), ['backend']);
+
+    await provider.handleDocumentChange(createDocument(notes, 'see #server'));
+    assert.deepEqual(await backend.listTags(workspaceFolder), ['server']);
+    assert.equal(provider.pending, null);
+});
+
+test('renaming a tag only opens files that contain its marker', async () => {
+    const { workspaceFolder, backend } = await setupWorkspace();
+    await seed(backend, workspaceFolder, { tags: ['api'] });
+    fs.writeFileSync(path.join(workspaceFolder, 'notes.md'), 'see #api\n');
+    fs.writeFileSync(path.join(workspaceFolder, 'rapid.md'), 'rapid api changes\n');
+
+    vscode.registered.openedDocuments = [];
+    const edit = await internals.buildTagMarkerRenameEdit(workspaceFolder, 'api', 'server', false);
+    assert.equal(edit.size, 1);
+    assert.deepEqual(vscode.registered.openedDocuments.map(doc => path.basename(doc.fileName)), ['notes.md']);
+});
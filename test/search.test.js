@@ -0,0 +1,32 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { vscode, internals, setupWorkspace, seed } = require('./helpers/extension');
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+async function previewCount(quickPick, value) {
+    quickPick.value = value;
+    quickPick._onDidChangeValue.fire(value);
+    await wait(300);
+    return quickPick.items.find(item => item.expression).description;
+}
+
+test('the search box counts files the way the search finds them', async () => {
+    const { workspaceFolder, backend } = await setupWorkspace();
+    await seed(backend, workspaceFolder, {
+        tags: ['backend', 'api', 'db'],
+        links: [['api', 'backend']],
+        resources: { './server.js': ['api'], './store.js': ['backend', 'db'], './README.md': [] },
+    });
+
+    const prompt = internals.promptTagExpression(workspaceFolder);
+    await wait(50);  // the tags load before the box opens
+    const quickPick = vscode.registered.quickPicks.at(-1);
+
+    assert.equal(await previewCount(quickPick, 'backend'), '2 matching files');
+    assert.equal(await previewCount(quickPick, 'backend & ~db'), '1 matching file');
+    assert.equal(await previewCount(quickPick, '~backend'), '1 matching file');
+
+    quickPick.hide();
+    assert.equal(await prompt, undefined);
+});
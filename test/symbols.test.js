@@ -0,0 +1,17 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { internals, setupWorkspace, seed } = require('./helpers/extension');
+
+const token = { isCancellationRequested: false };
+
+test('workspace symbols only answer queries that start with the marker', async () => {
+    const { workspaceFolder, backend } = await setupWorkspace();
+    await seed(backend, workspaceFolder, { tags: ['backend', 'api'], resources: { './a.js': ['backend'] } });
+    const provider = new internals.TagWorkspaceSymbolProvider();
+
+    assert.deepEqual(await provider.provideWorkspaceSymbols('', token), []);
+    assert.deepEqual(await provider.provideWorkspaceSymbols('back', token), []);
+
+    const symbols = await provider.provideWorkspaceSymbols('#back', token);
+    assert.deepEqual(symbols.map(symbol => [symbol.name, symbol.containerName]), [['#backend', 'a.js']]);
+});